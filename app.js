@@ -1,11 +1,39 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const fs = require('fs');
-const path = require('path');
-const { exec } = require('child_process');
+const config = require('./config');
+const Job = require('./models/Job');
+const jobQueue = require('./services/jobQueue');
+const downloader = require('./services/downloader');
+const batches = require('./services/batches');
+const jobSocket = require('./services/jobSocket');
+const hls = require('./services/hls');
+const ytdlp = require('./services/ytdlp');
+const auth = require('./services/auth');
+const quotas = require('./services/quotas');
+const duplicates = require('./services/duplicates');
+const library = require('./services/library');
+const orphans = require('./services/orphans');
+const subscriptions = require('./services/subscriptions');
+const { parseDownloadOptions } = require('./services/downloadOptions');
+const jobsRouter = require('./routes/jobs');
+const inspectRouter = require('./routes/inspect');
+const batchesRouter = require('./routes/batches');
+const downloadsRouter = require('./routes/downloads');
+const streamRouter = require('./routes/stream');
+const hlsRouter = require('./routes/hls');
+const collectionsRouter = require('./routes/collections');
+const feedsRouter = require('./routes/feeds');
+const playlistsRouter = require('./routes/playlists');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const meRouter = require('./routes/me');
+const duplicatesRouter = require('./routes/duplicates');
+const subscriptionsRouter = require('./routes/subscriptions');
+const { notFoundHandler, errorHandler } = require('./errors');
 
 const app = express();
-const PORT = process.env.PORT || 1122;
+const { PORT, DOWNLOAD_DIR } = config;
 
 // Middleware
 app.use(express.json());
@@ -14,102 +42,206 @@ app.use(express.urlencoded({ extended: true }));
 // MongoDB Connection
 mongoose.set('strictQuery', true);
 mongoose
-  .connect('mongodb://127.0.0.1:27017/youtube_downloader', {
+  .connect(config.MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
   })
-  .then(() => console.log('✅ MongoDB connected successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connected successfully');
+    // Sweep leftovers of the last run before anything writes to DOWNLOAD_DIR
+    // again; the queue runs nothing until jobQueue.start()
+    return orphans.removeOrphans().catch((err) => console.error('Orphan cleanup error:', err.message));
+  })
+  .then(() => jobQueue.start())
+  .then(() => subscriptions.start())
   .catch((err) => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
   });
 
-// Download Schema
-const downloadSchema = new mongoose.Schema({
-  title: String,
-  url: String,
-  fileName: String,
-  fileType: { type: String, enum: ['audio', 'video'] },
-  downloadDate: { type: Date, default: Date.now },
-  filePath: String,
-  fileSize: Number
-});
-
-const Download = mongoose.model('Download', downloadSchema);
+// Job handlers by kind
+jobQueue.registerHandler('download', downloader.runDownloadJob, { cleanup: downloader.removePartials });
+jobQueue.registerHandler('expand', batches.runExpandJob, { cleanup: batches.abandonBatch });
+jobQueue.registerHandler('hls', hls.runHlsJob, { cleanup: hls.abandonPackaging });
+jobQueue.registerHandler('poll', subscriptions.runPollJob);
 
 // Create downloads dir
-const DOWNLOAD_DIR = path.join(__dirname, 'downloads');
-if (!fs.existsSync(DOWNLOAD_DIR)) fs.mkdirSync(DOWNLOAD_DIR);
-app.use('/downloads', express.static(DOWNLOAD_DIR));
+if (!fs.existsSync(DOWNLOAD_DIR)) fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+
+// Login, registration and API keys
+app.use('/auth', authRouter);
+
+// Podcast feeds check their own per-feed token
+app.use('/feeds', feedsRouter);
+
+// Everything below needs an account (see services/auth for the ways to authenticate)
+app.use(auth.authenticate);
+
+// Account administration (admins)
+app.use('/users', usersRouter);
+
+// Own quota usage
+app.use('/me', meRouter);
+
+// Files by name, only for users who can see their library record
+app.use('/downloads', downloadsRouter.serveFile);
+
+// Library: paginated GET /downloads, GET/PATCH/DELETE /downloads/:id and bulk PATCH/DELETE
+app.use('/downloads', downloadsRouter);
 
 /**
- * DOWNLOAD endpoint (yt-dlp)
+ * DOWNLOAD endpoint - queues a yt-dlp job and answers right away.
+ * Poll GET /jobs/:id for the result. Playlist/channel/album URLs become a
+ * batch of child jobs, polled via GET /batches/:id. A video already in the
+ * library in the same format is answered with that record (200), and a
+ * repeat of a queued or running request gets the existing job; force: true
+ * always downloads again. `priority` (high | normal | low) defaults to high
+ * for single videos and low for playlists.
  */
-app.post('/download', async (req, res) => {
-  const { url, type } = req.body;
-  console.log('Received URL:', url);
+app.post('/download', auth.authorize('download'), async (req, res) => {
+  const body = req.body || {};
+  console.log('Received URL:', body.url);
+
+  if (!body.url || !body.type) return res.status(400).json({ error: 'url and type required' });
 
-  if (!url || !type) return res.status(400).json({ error: 'url and type required' });
+  if (body.force !== undefined && typeof body.force !== 'boolean') {
+    return res.status(400).json({ error: 'force must be a boolean' });
+  }
+  const force = body.force === true;
+  if (body.priority !== undefined && !Job.PRIORITIES.includes(body.priority)) {
+    return res.status(400).json({ error: `priority must be one of: ${Job.PRIORITIES.join(', ')}` });
+  }
 
+  let url;
+  let options;
+  let range;
   try {
-    const ext = type === 'audio' ? 'mp3' : 'mp4';
-    const filename = `video_${Date.now()}.${ext}`;
-    const filepath = path.join(DOWNLOAD_DIR, filename);
-
-    // yt-dlp command
-    const cmd =
-      type === 'audio'
-        ? `yt-dlp -x --audio-format mp3 -o "${filepath}" "${url}"`
-        : `yt-dlp -f best -o "${filepath}" "${url}"`;
-
-    exec(cmd, async (error, stdout, stderr) => {
-      if (error) {
-        console.error('yt-dlp error:', stderr);
-        return res.status(500).json({ error: 'Download failed', details: stderr });
-      }
-
-      try {
-        const stats = fs.statSync(filepath);
-
-        const newDownload = new Download({
-          title: filename,
-          url,
-          fileName: filename,
-          fileType: type,
-          filePath: filepath,
-          fileSize: stats.size
-        });
-
-        await newDownload.save();
-
-        res.json({
-          message: `${type} downloaded successfully`,
-          link: `http://localhost:${PORT}/downloads/${filename}`
-        });
-      } catch (dbErr) {
-        console.error('DB save error:', dbErr);
-        res.status(500).json({ error: 'File saved but DB insert failed' });
-      }
-    });
+    url = ytdlp.normalizeUrl(body.url);
+    options = parseDownloadOptions(body);
+    range = batches.parseBatchRequest(url, body);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Download failed', details: err.message });
+    return res.status(400).json({ error: err.message, code: err.code, details: err.details });
+  }
+
+  // youtu.be, m.youtube.com, &t= and friends all name the same video
+  const source = range ? null : duplicates.sourceFromUrl(url);
+  if (source) url = source.url;
+
+  if (source && !force) {
+    const existing = await duplicates.findExisting(source, options, auth.visibleFilter(req.user));
+    if (existing.length) {
+      const withLink = (download) => ({ ...download.toObject(), link: library.fileLink(download) });
+      return res.json({
+        message: 'Already downloaded',
+        duplicate: true,
+        download: withLink(existing[0]),
+        // Every copy in this format (one per clip for clip requests)
+        downloads: existing.map(withLink)
+      });
+    }
   }
-});
 
-// Get all downloads
-app.get('/downloads-list', async (req, res) => {
+  const { type } = options;
   try {
-    const downloads = await Download.find({}).sort({ downloadDate: -1 });
-    res.json(downloads);
-  } catch (error) {
-    console.error('Database error:', error);
-    res.status(500).json({ error: 'Database error' });
+    if (range) {
+      // 429 / 413 before anything is queued; batches are capped further when they expand
+      await quotas.checkCanQueue(req.user);
+      const { batch, job } = await batches.createBatch(
+        url,
+        { ...options, force: force || undefined },
+        range,
+        req.user._id,
+        body.priority || 'low'
+      );
+      return res.status(202).json({
+        message: `${type} playlist queued`,
+        batchId: batch._id,
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `${config.PUBLIC_URL}/batches/${batch._id}`
+      });
+    }
+
+    const dedupeKey = source ? duplicates.dedupeKey(source, options) : undefined;
+    const enqueue = async () => {
+      await quotas.checkCanQueue(req.user);
+      return jobQueue.enqueue({ url, ...options, force: force || undefined }, {
+        owner: req.user._id,
+        dedupeKey,
+        priority: body.priority || 'high'
+      });
+    };
+    // Repeats join the job already queued or running for the same video and format
+    const { job, coalesced } =
+      dedupeKey && !force
+        ? await duplicates.coalesce(dedupeKey, req.user._id, enqueue)
+        : { job: await enqueue(), coalesced: false };
+
+    res.status(202).json({
+      message: coalesced ? `${type} download already in progress` : `${type} download queued`,
+      jobId: job._id,
+      status: job.status,
+      coalesced,
+      statusUrl: `${config.PUBLIC_URL}/jobs/${job._id}`
+    });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error(err);
+    res.status(500).json({ error: 'Could not queue download', details: err.message });
   }
 });
 
+// Preflight format listing
+app.use('/inspect', auth.authorize('download'), inspectRouter);
+
+// Playlist batches
+app.use('/batches', batchesRouter);
+
+// Job status and live progress (SSE at /jobs/:id/events)
+app.use('/jobs', jobsRouter);
+
+// Range-aware streaming and on-the-fly transcodes
+app.use('/stream', streamRouter);
+
+// HLS packaging and adaptive playback
+app.use('/hls', hlsRouter);
+
+// Collections, published as private podcast feeds under /feeds
+app.use('/collections', collectionsRouter);
+
+// Ordered playlists with M3U8/PLS/XSPF export and import
+app.use('/playlists', playlistsRouter);
+
+// Copies of the same video already in the library
+app.use('/duplicates', duplicatesRouter);
+
+// Channels and playlists polled for new uploads
+app.use('/subscriptions', subscriptionsRouter);
+
+// Library list, same as GET /downloads
+app.get('/downloads-list', downloadsRouter.listDownloads);
+
+// Unknown routes and errors as JSON
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📂 Downloads folder: ${DOWNLOAD_DIR}`);
+  if (config.STORAGE_DRIVER !== 'local') console.log(`🗄️ Storage: ${config.STORAGE_DRIVER} (bucket ${config.S3_BUCKET})`);
 });
+
+// Live job progress over WebSocket
+jobSocket.attach(server);
+console.log(`📡 Job updates on ws://localhost:${PORT}${jobSocket.WS_PATH}`);
+
+// Stop through process.exit so running yt-dlp process groups are killed
+// (services/ytdlp) instead of writing on after a restart; nodemon restarts
+// with SIGUSR2. Interrupted jobs are picked up again by jobQueue.start().
+['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach((signal) =>
+  process.once(signal, () => {
+    console.log(`👋 ${signal} received, shutting down`);
+    process.exit(0);
+  })
+);
@@ -0,0 +1,122 @@
+const path = require('path');
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toList = (value, fallback) =>
+  value ? value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean) : fallback;
+
+const toJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`Invalid JSON in environment: ${value}`);
+  }
+};
+
+const PORT = process.env.PORT || 1122;
+const GB = 1024 * 1024 * 1024;
+
+// Quotas per role; a missing or null limit means unlimited. Users can have
+// their own overrides (User.quota).
+const DEFAULT_QUOTAS = {
+  admin: {},
+  member: { storageBytes: 20 * GB, downloadsPerDay: 100, maxDurationSeconds: 4 * 60 * 60, maxFileBytes: 2 * GB },
+  viewer: { storageBytes: 0, downloadsPerDay: 0 }
+};
+// e.g. QUOTAS_JSON='{"member":{"storageBytes":10737418240,"downloadsPerDay":20}}'
+const quotaOverrides = toJson(process.env.QUOTAS_JSON, {});
+
+module.exports = {
+  PORT,
+  MONGO_URI: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/youtube_downloader',
+  DOWNLOAD_DIR: process.env.DOWNLOAD_DIR || path.join(__dirname, 'downloads'),
+  // Where finished files live: "local" (DOWNLOAD_DIR) or "s3" (any
+  // S3-compatible store, e.g. MinIO with S3_ENDPOINT and S3_FORCE_PATH_STYLE)
+  STORAGE_DRIVER: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+  S3_BUCKET: process.env.S3_BUCKET || '',
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || '',
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || '',
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  // Prepended to every object key, e.g. "media/"
+  S3_PREFIX: process.env.S3_PREFIX || '',
+  S3_PRESIGN_EXPIRES: toInt(process.env.S3_PRESIGN_EXPIRES, 60 * 60),
+  // "proxy" streams objects through this server; "redirect" sends clients to a presigned URL
+  STORAGE_SERVE_MODE: process.env.STORAGE_SERVE_MODE === 'redirect' ? 'redirect' : 'proxy',
+
+  // Base used when building links handed back to clients
+  PUBLIC_URL: (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, ''),
+
+  // Accounts: JWTs are signed with JWT_SECRET (a random per-process secret
+  // when unset, so logins don't survive a restart)
+  JWT_SECRET: process.env.JWT_SECRET || '',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  // Lifetime of the read-only tokens embedded in exported playlist URLs
+  MEDIA_TOKEN_EXPIRES_IN: process.env.MEDIA_TOKEN_EXPIRES_IN || '30d',
+  SESSION_COOKIE: process.env.SESSION_COOKIE || 'session',
+  // Open registration; the very first account can always register (as admin)
+  ALLOW_SIGNUP: process.env.ALLOW_SIGNUP === 'true',
+
+  QUOTAS: Object.fromEntries(
+    Object.entries(DEFAULT_QUOTAS).map(([role, limits]) => [role, { ...limits, ...quotaOverrides[role] }])
+  ),
+
+  // Max number of yt-dlp processes running at the same time
+  JOB_CONCURRENCY: Math.max(1, toInt(process.env.JOB_CONCURRENCY, 2)),
+  // Transient failures (rate limits, network errors) are retried with
+  // exponential backoff: attempts in total, first delay and the cap
+  JOB_MAX_ATTEMPTS: Math.max(1, toInt(process.env.JOB_MAX_ATTEMPTS, 4)),
+  JOB_RETRY_BASE_MS: toInt(process.env.JOB_RETRY_BASE_MS, 30 * 1000),
+  JOB_RETRY_MAX_MS: toInt(process.env.JOB_RETRY_MAX_MS, 15 * 60 * 1000),
+
+  // Subscriptions: how often the scheduler looks for due ones, how many of a
+  // channel's newest entries each poll lists, and the schedule used when a
+  // subscription doesn't set one (cron syntax, server local time)
+  SUBSCRIPTION_CHECK_MS: toInt(process.env.SUBSCRIPTION_CHECK_MS, 60 * 1000),
+  SUBSCRIPTION_SCAN_ITEMS: Math.max(1, toInt(process.env.SUBSCRIPTION_SCAN_ITEMS, 30)),
+  SUBSCRIPTION_DEFAULT_SCHEDULE: process.env.SUBSCRIPTION_DEFAULT_SCHEDULE || '0 */6 * * *',
+
+  // yt-dlp runner
+  YTDLP_PATH: process.env.YTDLP_PATH || 'yt-dlp',
+  YTDLP_TIMEOUT_MS: toInt(process.env.YTDLP_TIMEOUT_MS, 2 * 60 * 60 * 1000),
+  // Cap on stdout we buffer in memory (JSON dumps), not on the media file
+  YTDLP_MAX_OUTPUT_BYTES: toInt(process.env.YTDLP_MAX_OUTPUT_BYTES, 32 * 1024 * 1024),
+  // Passed to --max-filesize, e.g. 500M or 4G
+  YTDLP_MAX_FILESIZE: process.env.YTDLP_MAX_FILESIZE || '4G',
+  FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+  FFPROBE_PATH: process.env.FFPROBE_PATH || 'ffprobe',
+
+  // Finished /stream transcodes, evicted least recently used first
+  TRANSCODE_CACHE_DIR: process.env.TRANSCODE_CACHE_DIR || path.join(__dirname, 'cache', 'transcodes'),
+  TRANSCODE_CACHE_MAX_BYTES: toInt(process.env.TRANSCODE_CACHE_MAX_BYTES, 2 * 1024 * 1024 * 1024),
+
+  // Package every finished download as HLS, not only on request
+  HLS_AUTO: process.env.HLS_AUTO === 'true',
+  HLS_SEGMENT_SECONDS: toInt(process.env.HLS_SEGMENT_SECONDS, 6),
+
+  // Loudness defaults (EBU R128 style); requests may override them
+  LOUDNESS_TARGET_LUFS: parseFloat(process.env.LOUDNESS_TARGET_LUFS) || -16,
+  LOUDNESS_TRUE_PEAK: parseFloat(process.env.LOUDNESS_TRUE_PEAK) || -1.5,
+  LOUDNESS_RANGE: parseFloat(process.env.LOUDNESS_RANGE) || 11,
+
+  // Podcast feeds: the "all audio" feed (shared and owner-less audio) is only
+  // served when a token is set
+  ALL_AUDIO_FEED_TOKEN: process.env.ALL_AUDIO_FEED_TOKEN || '',
+  FEED_MAX_ITEMS: toInt(process.env.FEED_MAX_ITEMS, 300),
+
+  // Hosts accepted by /download; subdomains are allowed too
+  ALLOWED_HOSTS: toList(process.env.ALLOWED_HOSTS, [
+    'youtube.com',
+    'youtu.be',
+    'youtube-nocookie.com',
+    'soundcloud.com',
+    'vimeo.com',
+    'bandcamp.com',
+    'mixcloud.com'
+  ])
+};
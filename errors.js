@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Error with an HTTP status. Thrown from route handlers and turned into
+ * `{ error, code, details? }` by errorHandler.
+ */
+class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Error raised when a request body fails validation. `details` lists every
+ * problem found so clients can fix them in one go.
+ */
+class ValidationError extends HttpError {
+  constructor(message, details = []) {
+    super(400, message, { code: 'VALIDATION_ERROR', details });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * A quota was hit: 429 for rate-style limits (downloads per day), 413 for
+ * size-style ones (storage, file size, duration). `details` carries the
+ * limit and the current usage.
+ */
+class QuotaError extends HttpError {
+  constructor(status, code, message, details) {
+    super(status, message, { code, details });
+    this.name = 'QuotaError';
+    if (details && details.retryAfterSeconds) this.retryAfter = details.retryAfterSeconds;
+  }
+}
+
+const notFound = (what) => new HttpError(404, `${what} not found`, { code: 'NOT_FOUND' });
+
+/**
+ * Returns `id` if it is a valid ObjectId, else throws a 400.
+ */
+function parseObjectId(id, what = 'id') {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new HttpError(400, `Invalid ${what}`, { code: 'INVALID_ID' });
+  }
+  return id;
+}
+
+// Unmatched routes
+function notFoundHandler(req, res) {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+}
+
+// Last middleware: every error leaves as the same JSON shape. Express spots
+// error handlers by their four arguments, so `next` stays.
+function errorHandler(err, req, res, next) {
+  // Malformed JSON bodies from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error('Unhandled error:', err);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : err.message,
+    code: err.code || (status >= 500 ? 'INTERNAL_ERROR' : undefined),
+    details: err.details
+  });
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  QuotaError,
+  notFound,
+  parseObjectId,
+  notFoundHandler,
+  errorHandler
+};
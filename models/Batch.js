@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Batch Schema - a playlist/channel/album URL expanded into child download jobs.
+// Per-item state lives on the child Job documents (job.batch).
+const batchSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    // expanding -> expanded once child jobs exist, failed if listing failed
+    state: { type: String, enum: ['expanding', 'expanded', 'failed'], default: 'expanding' },
+    title: String,
+    uploader: String,
+    extractor: String,
+    sourceId: String,
+    // Item selection as requested
+    range: {
+      items: String,
+      newest: Number,
+      dateAfter: String
+    },
+    totalEntries: Number,
+    totalItems: Number,
+    error: {
+      code: String,
+      message: String
+    }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Batch', batchSchema);
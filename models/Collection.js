@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Secret part of a collection's feed URL; rotating it revokes old subscriptions
+const newFeedToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Collection Schema - a named set of downloads, published as a podcast feed
+const collectionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    description: String,
+    author: String,
+    // Feed artwork; falls back to the newest item's thumbnail
+    image: String,
+    language: { type: String, default: 'en' },
+    downloads: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Download' }],
+    feedToken: { type: String, default: newFeedToken, unique: true }
+  },
+  { timestamps: true }
+);
+
+collectionSchema.index({ downloads: 1 });
+
+const Collection = mongoose.model('Collection', collectionSchema);
+Collection.newFeedToken = newFeedToken;
+
+module.exports = Collection;
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const thumbnailSchema = new mongoose.Schema(
+  { url: String, width: Number, height: Number },
+  { _id: false }
+);
+
+// Times in seconds from the start of the media
+const chapterSchema = new mongoose.Schema(
+  { title: String, startTime: Number, endTime: Number },
+  { _id: false }
+);
+
+// Section of the source a clip was cut from, fades in seconds
+const clipSchema = new mongoose.Schema(
+  { start: Number, end: Number, fadeIn: Number, fadeOut: Number },
+  { _id: false }
+);
+
+// Measured loudness (LUFS / dBTP / LU) and what was done with it:
+// normalize re-encoded to target/targetTruePeak, replaygain only wrote gain tags
+const loudnessSchema = new mongoose.Schema(
+  {
+    mode: { type: String, enum: ['normalize', 'replaygain'] },
+    integrated: Number,
+    truePeak: Number,
+    range: Number,
+    threshold: Number,
+    target: Number,
+    targetTruePeak: Number,
+    output: { integrated: Number, truePeak: Number, range: Number },
+    trackGain: Number,
+    trackPeak: Number,
+    albumGain: Number,
+    albumPeak: Number
+  },
+  { _id: false }
+);
+
+// HLS rendition ladder packaged next to the original (DOWNLOAD_DIR/hls/<id>)
+const hlsSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['queued', 'processing', 'ready', 'failed'] },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    renditions: [
+      new mongoose.Schema(
+        { name: String, bandwidth: Number, width: Number, height: Number, audioBitrate: Number },
+        { _id: false }
+      )
+    ],
+    segmentSeconds: Number,
+    error: String,
+    updatedAt: Date
+  },
+  { _id: false }
+);
+
+// Tags written into the audio file itself
+const audioTagsSchema = new mongoose.Schema(
+  {
+    title: String,
+    artist: String,
+    album: String,
+    albumArtist: String,
+    trackNumber: Number,
+    trackTotal: Number,
+    year: Number,
+    genre: String,
+    comment: String
+  },
+  { _id: false }
+);
+
+// Download Schema
+const downloadSchema = new mongoose.Schema({
+  title: String,
+  url: String,
+  fileName: String,
+  fileType: { type: String, enum: ['audio', 'video'] },
+  downloadDate: { type: Date, default: Date.now },
+  // Local path; unset once the file lives in object storage
+  filePath: String,
+  fileSize: Number,
+  // Where the file is kept (services/storage); records from before storage
+  // drivers have neither and are local files at filePath
+  storageDriver: { type: String, enum: ['local', 's3'] },
+  storageKey: String,
+
+  // Account that downloaded it; shared items show up in everyone's library
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  shared: { type: Boolean, default: false },
+  // Subscription that fetched it, whose keepLast may delete it again
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+
+  // What the file actually contains (ffprobe); bitrate in kbit/s
+  container: String,
+  audioCodec: String,
+  videoCodec: String,
+  bitrate: Number,
+  sampleRate: Number,
+  channels: Number,
+  width: Number,
+  height: Number,
+  fps: Number,
+
+  // Embedded tags (audio only); `tags` below are the source's keywords
+  audioTags: audioTagsSchema,
+  coverArt: Boolean,
+  loudness: loudnessSchema,
+  hls: hlsSchema,
+
+  // Source metadata from yt-dlp's info JSON
+  uploader: String,
+  uploaderId: String,
+  channel: String,
+  channelId: String,
+  channelUrl: String,
+  uploadDate: Date,
+  duration: Number,
+  description: String,
+  sourceId: String,
+  extractor: String,
+  webpageUrl: String,
+  thumbnail: String,
+  thumbnails: [thumbnailSchema],
+  tags: [String],
+  categories: [String],
+  viewCount: Number,
+  likeCount: Number,
+  chapters: [chapterSchema],
+
+  // Tracks split from a longer download point back at it
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Download', index: true },
+  trackNumber: Number,
+  chapter: chapterSchema,
+
+  // Set when only a section of the source was downloaded
+  clip: clipSchema,
+
+  // Hash of the options that shaped the file (services/duplicates)
+  variant: String
+});
+
+// Library list filters and sorts
+downloadSchema.index({ downloadDate: -1, _id: -1 });
+downloadSchema.index({ owner: 1, downloadDate: -1 });
+downloadSchema.index({ fileType: 1, downloadDate: -1 });
+downloadSchema.index({ uploader: 1 });
+downloadSchema.index({ extractor: 1 });
+// Duplicate lookups by source video
+downloadSchema.index({ sourceId: 1, extractor: 1 });
+downloadSchema.index({ tags: 1 });
+downloadSchema.index({ subscription: 1, uploadDate: -1 }, { sparse: true });
+
+// Powers ?q= search on the library list, title matches rank highest
+downloadSchema.index(
+  { title: 'text', uploader: 'text', description: 'text', tags: 'text' },
+  { name: 'download_text', weights: { title: 10, tags: 5, uploader: 3, description: 1 } }
+);
+
+module.exports = mongoose.model('Download', downloadSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// paused jobs wait for POST /jobs/:id/resume; cancelled is final
+const JOB_STATUSES = ['queued', 'running', 'paused', 'succeeded', 'failed', 'skipped', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'skipped', 'cancelled'];
+// Order in which queued jobs get a worker
+const JOB_PRIORITIES = ['high', 'normal', 'low'];
+// download: fetch one media URL; expand: list a playlist into child download jobs;
+// hls: package an existing download for adaptive streaming; poll: check a
+// subscription for new uploads and queue download jobs for them
+const JOB_KINDS = ['download', 'expand', 'hls', 'poll'];
+
+// One run of a job; failed runs of transient errors are followed by a retry
+const attemptSchema = new mongoose.Schema(
+  {
+    number: Number,
+    startedAt: Date,
+    finishedAt: Date,
+    error: { code: String, message: String },
+    // When the next attempt was scheduled, for attempts that get one
+    retryAt: Date
+  },
+  { _id: false }
+);
+
+// Job Schema - one document per requested download, polled via /jobs
+const jobSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: JOB_KINDS, default: 'download' },
+    // Account that queued it; downloads it produces belong to the same account
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    status: { type: String, enum: JOB_STATUSES, default: 'queued', index: true },
+    priority: { type: String, enum: JOB_PRIORITIES, default: 'normal' },
+    // Set on jobs belonging to a playlist batch
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', index: true },
+    playlistIndex: Number,
+    // Set on poll jobs and the download jobs they queue
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', index: true },
+    title: String,
+    // extractor:id:variant of single downloads, for coalescing repeat requests
+    dedupeKey: { type: String, index: true },
+    // yt-dlp output name shared by every run of a download job, so a resumed
+    // or retried job continues its .part files instead of starting over
+    outputBase: String,
+    // Library item an hls job works on
+    download: { type: mongoose.Schema.Types.ObjectId, ref: 'Download' },
+    params: {
+      url: String,
+      type: { type: String, enum: ['audio', 'video'] },
+      // Explicit yt-dlp format selection from /inspect
+      formatId: String,
+      // Skip the item if it was uploaded before this day (YYYYMMDD)
+      dateAfter: String,
+      // Download even when the library already has this video in this format
+      force: Boolean,
+      // Output options, see services/downloadOptions
+      audio: {
+        format: String,
+        bitrate: Number,
+        quality: Number,
+        sampleRate: Number
+      },
+      video: {
+        maxHeight: Number,
+        codec: String,
+        maxFps: Number,
+        container: String
+      },
+      // Audio tag overrides, see services/tagger
+      tags: {
+        title: String,
+        artist: String,
+        album: String,
+        albumArtist: String,
+        trackNumber: Number,
+        trackTotal: Number,
+        year: Number,
+        genre: String,
+        comment: String
+      },
+      coverArt: Boolean,
+      // Save one track per chapter in addition to the full file
+      splitChapters: Boolean,
+      // Sections to download instead of the whole media (seconds, end may be open)
+      clips: {
+        type: [new mongoose.Schema({ start: Number, end: Number }, { _id: false })],
+        default: undefined
+      },
+      fadeIn: Number,
+      fadeOut: Number,
+      // See services/loudness
+      loudness: {
+        mode: { type: String, enum: ['normalize', 'replaygain'] },
+        target: Number,
+        truePeak: Number,
+        range: Number
+      }
+    },
+    // Latest parsed yt-dlp progress (speed in bytes/s, eta in seconds)
+    progress: {
+      phase: String,
+      percent: Number,
+      downloadedBytes: Number,
+      totalBytes: Number,
+      speed: Number,
+      eta: Number,
+      updatedAt: Date
+    },
+    result: {
+      download: { type: mongoose.Schema.Types.ObjectId, ref: 'Download' },
+      link: String,
+      // One Download per clip when clips were requested
+      clips: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Download' }],
+      // Chapter tracks split from the download
+      tracks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Download' }],
+      // expand and poll jobs
+      batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+      subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+      items: Number,
+      // skipped jobs; `duplicate` when `download` is the existing library copy
+      reason: String,
+      duplicate: Boolean
+    },
+    // Classified failure (services/failures); on a queued job it is the
+    // error of the previous attempt, with the retry due at nextAttemptAt
+    error: {
+      code: String,
+      message: String,
+      details: String,
+      retryable: Boolean
+    },
+    attempts: { type: [attemptSchema], default: [] },
+    nextAttemptAt: Date,
+    startedAt: Date,
+    finishedAt: Date
+  },
+  { timestamps: true }
+);
+
+const Job = mongoose.model('Job', jobSchema);
+Job.STATUSES = JOB_STATUSES;
+Job.FINISHED_STATUSES = FINISHED_STATUSES;
+Job.KINDS = JOB_KINDS;
+Job.PRIORITIES = JOB_PRIORITIES;
+
+module.exports = Job;
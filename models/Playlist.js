@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One entry; the same download may appear more than once
+const playlistItemSchema = new mongoose.Schema(
+  {
+    download: { type: mongoose.Schema.Types.ObjectId, ref: 'Download', required: true },
+    addedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Playlist Schema - an ordered list of downloads
+const playlistSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    description: String,
+    items: [playlistItemSchema]
+  },
+  { timestamps: true }
+);
+
+playlistSchema.index({ 'items.download': 1 });
+
+module.exports = mongoose.model('Playlist', playlistSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// What a poll found; the download jobs it queued carry `subscription` too
+const runSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    startedAt: Date,
+    finishedAt: Date,
+    // Entries listed, already in the archive, left out by the filters,
+    // queued for download, and held back by the daily download quota
+    scanned: Number,
+    seen: Number,
+    filtered: Number,
+    queued: Number,
+    deferred: Number,
+    // Old downloads deleted to honour keepLast
+    pruned: Number,
+    error: { code: String, message: String }
+  },
+  { _id: false }
+);
+
+// Subscription Schema - a channel or playlist polled for new uploads
+const subscriptionSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    title: String,
+    enabled: { type: Boolean, default: true },
+    // Cron expression or @hourly/@daily/... (services/schedule)
+    schedule: { type: String, required: true },
+    nextRunAt: { type: Date, index: true },
+    // Download options applied to every new entry, as accepted by /download
+    options: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Durations in seconds, title patterns as case-insensitive regexes
+    filters: {
+      minDuration: Number,
+      maxDuration: Number,
+      titleInclude: String,
+      titleExclude: String
+    },
+    // Only the newest N downloads of this subscription stay in the library
+    keepLast: Number,
+    // Download what is already listed on the first poll instead of only
+    // recording it as seen
+    backfill: { type: Boolean, default: false },
+    // Last successful poll; until there is one, the next poll is the first
+    lastRunAt: Date,
+    // Newest first, capped at Subscription.MAX_RUNS
+    runs: { type: [runSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+Subscription.MAX_RUNS = 20;
+
+module.exports = Subscription;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Archive Schema - video ids a subscription has already handled, so each
+// upload is downloaded once (like yt-dlp's --download-archive)
+const archiveSchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  sourceId: { type: String, required: true },
+  title: String,
+  // Download job queued for it; unset for entries recorded by the first poll
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  seenAt: { type: Date, default: Date.now }
+});
+
+archiveSchema.index({ subscription: 1, sourceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SubscriptionArchive', archiveSchema);
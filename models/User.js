@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'member', 'viewer'];
+
+// Personal API key; only a SHA-256 of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // First characters of the key, to tell keys apart in listings
+  prefix: String,
+  hash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date
+});
+
+// User Schema - an account; role decides what it may do (see services/auth)
+const userSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: String,
+    // scrypt$<salt>$<hash>
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'member' },
+    disabled: { type: Boolean, default: false },
+    // Bumped on password change or disable; JWTs carrying an older value are rejected
+    tokenVersion: { type: Number, default: 0 },
+    apiKeys: [apiKeySchema],
+    // Overrides of the role's quotas (config.QUOTAS); unset fields use the role's
+    quota: {
+      storageBytes: Number,
+      downloadsPerDay: Number,
+      maxDurationSeconds: Number,
+      maxFileBytes: Number
+    }
+  },
+  { timestamps: true }
+);
+
+userSchema.index({ 'apiKeys.hash': 1 });
+
+// Never hand password or key hashes to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    ret.apiKeys = (ret.apiKeys || []).map(({ hash, ...key }) => key);
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
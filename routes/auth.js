@@ -0,0 +1,138 @@
+const express = require('express');
+const config = require('../config');
+const User = require('../models/User');
+const auth = require('../services/auth');
+const { ValidationError, HttpError, notFound, parseObjectId } = require('../errors');
+
+/**
+ * Login, registration, the current account and its API keys.
+ */
+const router = express.Router();
+
+const MAX_API_KEYS = 20;
+
+const sessionCookie = (token) => ({
+  name: config.SESSION_COOKIE,
+  value: token,
+  options: {
+    httpOnly: true,
+    // Strict keeps the cookie off cross-site requests, which covers CSRF
+    sameSite: 'strict',
+    secure: config.PUBLIC_URL.startsWith('https:'),
+    path: '/'
+  }
+});
+
+// The first account ever created is the admin; after that only with ALLOW_SIGNUP
+router.post('/register', async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  auth.checkEmail(body.email, errors);
+  auth.checkPassword(body.password, errors);
+  if (body.name !== undefined && typeof body.name !== 'string') errors.push('name must be a string');
+  if (errors.length) throw new ValidationError('Invalid registration', errors);
+
+  const first = (await User.estimatedDocumentCount()) === 0;
+  if (!first && !config.ALLOW_SIGNUP) {
+    throw new HttpError(403, 'Registration is closed; ask an admin for an account', { code: 'SIGNUP_CLOSED' });
+  }
+
+  const email = body.email.trim().toLowerCase();
+  if (await User.exists({ email })) throw new HttpError(409, 'Email is already registered', { code: 'EMAIL_TAKEN' });
+
+  const user = await User.create({
+    email,
+    name: body.name,
+    passwordHash: await auth.hashPassword(body.password),
+    role: first ? 'admin' : 'member'
+  });
+  console.log(`👤 Registered ${user.email} (${user.role})`);
+  res.status(201).json({ user, token: auth.signToken(user) });
+});
+
+// { email, password } -> { token, user }; also sets the session cookie for browsers
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    throw new ValidationError('Invalid login', ['email and password are required']);
+  }
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  // Same answer for unknown email and wrong password
+  if (!user || !(await auth.verifyPassword(password, user.passwordHash))) {
+    throw auth.unauthenticated('Wrong email or password');
+  }
+  if (user.disabled) throw auth.forbidden('Account is disabled');
+
+  const token = auth.signToken(user);
+  const cookie = sessionCookie(token);
+  res.cookie(cookie.name, cookie.value, cookie.options);
+  res.json({ token, user });
+});
+
+router.post('/logout', (req, res) => {
+  const cookie = sessionCookie('');
+  res.clearCookie(cookie.name, cookie.options);
+  res.status(204).end();
+});
+
+router.get('/me', auth.authenticate, (req, res) => {
+  res.json({ user: req.user, permissions: auth.PERMISSIONS[req.user.role] });
+});
+
+// { name?, password?, currentPassword } - a new password signs out every other session
+router.patch('/me', auth.authenticate, async (req, res) => {
+  const { name, password, currentPassword } = req.body || {};
+  const errors = [];
+  if (name !== undefined && typeof name !== 'string') errors.push('name must be a string');
+  if (password !== undefined) auth.checkPassword(password, errors);
+  if (name === undefined && password === undefined) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid update', errors);
+
+  const { user } = req;
+  if (name !== undefined) user.name = name.trim();
+  if (password !== undefined) {
+    if (typeof currentPassword !== 'string' || !(await auth.verifyPassword(currentPassword, user.passwordHash))) {
+      throw auth.forbidden('currentPassword is wrong');
+    }
+    user.passwordHash = await auth.hashPassword(password);
+    user.tokenVersion += 1;
+  }
+  await user.save();
+  res.json({ user, token: password !== undefined ? auth.signToken(user) : undefined });
+});
+
+// A read-only token for ?access_token= on /stream, /downloads and /hls URLs,
+// for players that can't send headers
+router.post('/media-token', auth.authenticate, (req, res) => {
+  const expiresIn = config.MEDIA_TOKEN_EXPIRES_IN;
+  res.json({ token: auth.signToken(req.user, { scope: 'media', expiresIn }), expiresIn });
+});
+
+router.get('/keys', auth.authenticate, (req, res) => {
+  res.json(req.user.toJSON().apiKeys);
+});
+
+// { name } -> the key, shown only in this response
+router.post('/keys', auth.authenticate, async (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) throw new ValidationError('Invalid API key', ['name is required']);
+  if (req.user.apiKeys.length >= MAX_API_KEYS) {
+    throw new ValidationError('Too many API keys', [`at most ${MAX_API_KEYS} keys per account`]);
+  }
+
+  const { key, record } = auth.newApiKey(name.trim());
+  req.user.apiKeys.push(record);
+  await req.user.save();
+  const saved = req.user.apiKeys[req.user.apiKeys.length - 1];
+  res.status(201).json({ _id: saved._id, name: saved.name, prefix: saved.prefix, createdAt: saved.createdAt, key });
+});
+
+router.delete('/keys/:keyId', auth.authenticate, async (req, res) => {
+  const keyId = parseObjectId(req.params.keyId, 'key id');
+  const result = await User.updateOne({ _id: req.user._id }, { $pull: { apiKeys: { _id: keyId } } });
+  if (!result.modifiedCount) throw notFound('API key');
+  res.json({ deleted: keyId });
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const batches = require('../services/batches');
+const auth = require('../services/auth');
+
+const router = express.Router();
+
+// List batches, newest first
+router.get('/', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const list = await Batch.find(auth.ownedFilter(req.user)).sort({ createdAt: -1 }).limit(limit);
+    res.json(list);
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Batch summary with per-item status
+router.get('/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid batch id' });
+  }
+
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, ...auth.ownedFilter(req.user) });
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+    res.json(await batches.summarize(batch));
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
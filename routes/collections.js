@@ -0,0 +1,135 @@
+const express = require('express');
+const Collection = require('../models/Collection');
+const Download = require('../models/Download');
+const library = require('../services/library');
+const auth = require('../services/auth');
+const { feedUrl } = require('./feeds');
+const { ValidationError, notFound, parseObjectId } = require('../errors');
+
+/**
+ * Collections: named sets of downloads, each published as a podcast feed.
+ */
+const router = express.Router();
+
+const TEXT_FIELDS = ['name', 'description', 'author', 'image', 'language'];
+
+const present = (collection) => ({
+  ...collection.toObject(),
+  feedUrl: feedUrl(collection._id, collection.feedToken)
+});
+
+// Validates collection fields; `creating` makes name required
+function parseCollection(body, { creating = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ValidationError('Invalid collection', ['body must be an object']);
+  }
+
+  const errors = [];
+  const fields = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (TEXT_FIELDS.includes(key)) {
+      if (typeof value !== 'string') errors.push(`${key} must be a string`);
+      else fields[key] = value.trim();
+    } else if (key !== 'downloads' || !creating) {
+      errors.push(`${key} cannot be set`);
+    }
+  });
+
+  if ((creating || 'name' in fields) && !fields.name) errors.push('name is required');
+  if (fields.image && !/^https?:\/\//.test(fields.image)) errors.push('image must be an http(s) URL');
+  if (!creating && !errors.length && Object.keys(fields).length === 0) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid collection', errors);
+  return fields;
+}
+
+// Checks that every id is in the user's view of the library before it is added
+async function existingDownloads(rawIds, user) {
+  const ids = library.parseIds(rawIds);
+  const found = await Download.find({ _id: { $in: ids }, ...auth.visibleFilter(user) }).distinct('_id');
+  const foundIds = new Set(found.map(String));
+  const missing = ids.filter((id) => !foundIds.has(id));
+  if (missing.length) {
+    throw new ValidationError('Unknown downloads', missing.map((id) => `${id} is not in the library`));
+  }
+  return ids;
+}
+
+// Collections are private to their owner (and admins)
+const ownCollection = (req) => ({ _id: parseObjectId(req.params.id, 'collection id'), ...auth.ownedFilter(req.user) });
+
+async function findCollection(req) {
+  const collection = await Collection.findOne(ownCollection(req));
+  if (!collection) throw notFound('Collection');
+  return collection;
+}
+
+router.get('/', async (req, res) => {
+  const collections = await Collection.find(auth.ownedFilter(req.user)).sort({ createdAt: -1 });
+  res.json(collections.map(present));
+});
+
+router.post('/', auth.authorize('edit'), async (req, res) => {
+  const body = req.body || {};
+  const fields = parseCollection(body, { creating: true });
+  if (body.downloads !== undefined) fields.downloads = await existingDownloads(body.downloads, req.user);
+
+  const collection = await Collection.create({ ...fields, owner: req.user._id });
+  res.status(201).json(present(collection));
+});
+
+router.get('/:id', async (req, res) => {
+  res.json(present(await findCollection(req)));
+});
+
+router.patch('/:id', auth.authorize('edit'), async (req, res) => {
+  const collection = await Collection.findOneAndUpdate(
+    ownCollection(req),
+    { $set: parseCollection(req.body) },
+    { new: true, runValidators: true }
+  );
+  if (!collection) throw notFound('Collection');
+  res.json(present(collection));
+});
+
+// Add downloads: { ids: [...] }
+router.post('/:id/items', auth.authorize('edit'), async (req, res) => {
+  const ids = await existingDownloads((req.body || {}).ids, req.user);
+  const collection = await Collection.findOneAndUpdate(
+    ownCollection(req),
+    { $addToSet: { downloads: { $each: ids } } },
+    { new: true }
+  );
+  if (!collection) throw notFound('Collection');
+  res.json(present(collection));
+});
+
+// Remove downloads: { ids: [...] }
+router.delete('/:id/items', auth.authorize('edit'), async (req, res) => {
+  const ids = library.parseIds((req.body || {}).ids);
+  const collection = await Collection.findOneAndUpdate(
+    ownCollection(req),
+    { $pullAll: { downloads: ids } },
+    { new: true }
+  );
+  if (!collection) throw notFound('Collection');
+  res.json(present(collection));
+});
+
+// New feed token; apps subscribed with the old URL stop receiving the feed
+router.post('/:id/token', auth.authorize('edit'), async (req, res) => {
+  const collection = await Collection.findOneAndUpdate(
+    ownCollection(req),
+    { $set: { feedToken: Collection.newFeedToken() } },
+    { new: true }
+  );
+  if (!collection) throw notFound('Collection');
+  res.json(present(collection));
+});
+
+router.delete('/:id', auth.authorize('edit'), async (req, res) => {
+  const collection = await Collection.findOneAndDelete(ownCollection(req));
+  if (!collection) throw notFound('Collection');
+  res.json({ deleted: collection._id });
+});
+
+module.exports = router;
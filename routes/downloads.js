@@ -0,0 +1,150 @@
+const express = require('express');
+const path = require('path');
+const Download = require('../models/Download');
+const library = require('../services/library');
+const storage = require('../services/storage');
+const auth = require('../services/auth');
+const { parseDownloadQuery } = require('../services/downloadQuery');
+const { notFound, parseObjectId } = require('../errors');
+
+/**
+ * Library CRUD. Mounted on /downloads after the static file handler, so
+ * GET /downloads/<fileName> still serves files and ids land here.
+ */
+const router = express.Router();
+
+const withLink = (download) => ({ ...download.toObject(), link: library.fileLink(download) });
+
+// A download the user can see, or 404 (not 403, so ids of private items don't leak)
+async function findVisible(req) {
+  const download = await Download.findById(parseObjectId(req.params.id, 'download id'));
+  if (!download || !auth.canSee(req.user, download)) throw notFound('Download');
+  return download;
+}
+
+// Same, plus the right to change it
+async function findModifiable(req, permission) {
+  const download = await findVisible(req);
+  if (!auth.canModify(req.user, download, permission)) {
+    throw auth.forbidden(`Only the owner or an admin can ${permission} this download`);
+  }
+  return download;
+}
+
+/**
+ * GET /downloads/<fileName> - the file itself, with byte ranges. Anything
+ * that isn't a file name (ids, the list) falls through to the router.
+ */
+async function serveFile(req, res, next) {
+  let fileName;
+  try {
+    fileName = decodeURIComponent(req.path.slice(1));
+  } catch {
+    throw notFound('File');
+  }
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || !path.extname(fileName) || fileName.includes('/')) {
+    return next();
+  }
+
+  const download = await Download.findOne({ fileName });
+  if (!download || !auth.canSee(req.user, download)) throw notFound('File');
+  await storage.send(req, res, download);
+}
+
+/**
+ * Paginated, filterable library list (see services/downloadQuery for the
+ * parameters). Also served as GET /downloads-list.
+ */
+async function listDownloads(req, res) {
+  const { filter, sort, projection, skip, limit, cursorFor } = parseDownloadQuery(req.query);
+  const visible = auth.visibleFilter(req.user);
+  if (visible.$or) filter.$and = [...(filter.$and || []), visible];
+
+  // One extra row tells us whether there is a next page
+  const rows = await Download.find(filter, projection).sort(sort).skip(skip).limit(limit + 1).lean();
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  res.json({
+    items,
+    nextCursor: hasMore ? cursorFor(items[items.length - 1], items.length - 1) : null,
+    limit
+  });
+}
+
+router.get('/', listDownloads);
+
+// Bulk metadata update: { ids: [...], set: { title, tags, ... } }; only touches the caller's own items
+router.patch('/', auth.authorize('edit'), async (req, res) => {
+  const { ids: rawIds, set } = req.body || {};
+  const ids = library.parseIds(rawIds);
+  const update = library.parseDownloadUpdate(set);
+
+  const result = await Download.updateMany(
+    { _id: { $in: ids }, ...auth.ownedFilter(req.user) },
+    { $set: update },
+    { runValidators: true }
+  );
+  res.json({ matched: result.matchedCount, modified: result.modifiedCount });
+});
+
+// Bulk delete: { ids: [...] }; each id is deleted on its own
+router.delete('/', auth.authorize('delete'), async (req, res) => {
+  const ids = library.parseIds((req.body || {}).ids);
+  const downloads = (await Download.find({ _id: { $in: ids } })).filter((download) =>
+    auth.canSee(req.user, download)
+  );
+  const found = new Set(downloads.map((download) => String(download._id)));
+
+  const deleted = [];
+  const failed = [];
+  for (const download of downloads) {
+    if (!auth.canModify(req.user, download, 'delete')) {
+      failed.push({ id: download._id, error: 'Only the owner or an admin can delete this download' });
+      continue;
+    }
+    try {
+      await library.deleteDownload(download);
+      deleted.push(download._id);
+    } catch (err) {
+      console.error(`Delete of ${download._id} failed:`, err);
+      failed.push({ id: download._id, error: err.message });
+    }
+  }
+
+  res.status(failed.length ? 207 : 200).json({
+    deleted,
+    notFound: ids.filter((id) => !found.has(id)),
+    failed
+  });
+});
+
+router.get('/:id', async (req, res) => {
+  const download = await findVisible(req);
+
+  const tracks = await Download.find({ parent: download._id, ...auth.visibleFilter(req.user) })
+    .sort({ trackNumber: 1 })
+    .select('title trackNumber duration fileName');
+  res.json({ ...withLink(download), tracks });
+});
+
+router.patch('/:id', async (req, res) => {
+  const update = library.parseDownloadUpdate(req.body);
+  const download = await findModifiable(req, 'edit');
+
+  download.set(update);
+  await download.save();
+  res.json(withLink(download));
+});
+
+// Removes the file from DOWNLOAD_DIR and the record together
+router.delete('/:id', async (req, res) => {
+  const download = await findModifiable(req, 'delete');
+
+  const { fileMissing } = await library.deleteDownload(download);
+  res.json({ deleted: download._id, fileMissing });
+});
+
+module.exports = router;
+module.exports.listDownloads = listDownloads;
+module.exports.serveFile = serveFile;
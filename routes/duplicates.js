@@ -0,0 +1,21 @@
+const express = require('express');
+const duplicates = require('../services/duplicates');
+const auth = require('../services/auth');
+const { ValidationError } = require('../errors');
+
+/**
+ * Report of library downloads that are copies of each other, from before
+ * /download started catching repeats (or made with force: true).
+ */
+const router = express.Router();
+
+// GET /duplicates?limit=100 - groups sorted by how much space deleting the extra copies frees
+router.get('/', async (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > duplicates.MAX_REPORT_GROUPS) {
+    throw new ValidationError('Invalid query', [`limit must be an integer from 1 to ${duplicates.MAX_REPORT_GROUPS}`]);
+  }
+  res.json(await duplicates.report(auth.visibleFilter(req.user), { limit }));
+});
+
+module.exports = router;
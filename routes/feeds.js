@@ -0,0 +1,99 @@
+const express = require('express');
+const path = require('path');
+const config = require('../config');
+const Collection = require('../models/Collection');
+const Download = require('../models/Download');
+const User = require('../models/User');
+const auth = require('../services/auth');
+const feeds = require('../services/feeds');
+const storage = require('../services/storage');
+const { HttpError, notFound, parseObjectId } = require('../errors');
+
+/**
+ * Podcast feeds. Every URL carries the feed's secret ?token= instead of
+ * account credentials, so it can be pasted into any podcast app:
+ *   GET /feeds/all.xml                               - every audio download
+ *   GET /feeds/:collectionId.xml                     - one collection
+ *   GET /feeds/:feedId/media/:downloadId.:ext        - an episode's file
+ *   GET /feeds/:feedId/chapters/:downloadId.json     - Podcasting 2.0 chapters
+ */
+const router = express.Router();
+
+const ALL_AUDIO = 'all';
+
+const feedUrl = (feedId, token) => `${config.PUBLIC_URL}/feeds/${feedId}.xml?token=${encodeURIComponent(token)}`;
+
+const invalidToken = () => new HttpError(403, 'Invalid feed token', { code: 'INVALID_FEED_TOKEN' });
+
+// Resolves a feed id and token to its channel fields and a Download filter
+async function loadFeed(feedId, token) {
+  if (feedId === ALL_AUDIO) {
+    if (!config.ALL_AUDIO_FEED_TOKEN) throw notFound('Feed');
+    if (!feeds.tokenMatches(config.ALL_AUDIO_FEED_TOKEN, token)) throw invalidToken();
+    return {
+      token,
+      channel: { title: 'All audio', description: 'Every shared audio download in the library' },
+      // The token isn't tied to an account, so private items stay out
+      filter: { fileType: 'audio', $or: [{ shared: true }, { owner: null }] }
+    };
+  }
+
+  const collection = await Collection.findById(parseObjectId(feedId, 'collection id'));
+  if (!collection) throw notFound('Feed');
+  if (!feeds.tokenMatches(collection.feedToken, token)) throw invalidToken();
+
+  // Items the owner can no longer see (unshared since) drop out of the feed
+  const filter = { _id: { $in: collection.downloads } };
+  const owner = collection.owner && (await User.findById(collection.owner));
+  if (owner) filter.$and = [auth.visibleFilter(owner)];
+  return {
+    token,
+    channel: {
+      title: collection.name,
+      description: collection.description,
+      author: collection.author,
+      image: collection.image,
+      language: collection.language
+    },
+    filter
+  };
+}
+
+router.get('/:feedId.xml', async (req, res) => {
+  const { feedId } = req.params;
+  const { token, channel, filter } = await loadFeed(feedId, req.query.token);
+
+  const downloads = await Download.find(filter).sort({ downloadDate: -1 }).limit(config.FEED_MAX_ITEMS).lean();
+  const itemUrl = (file) => `${config.PUBLIC_URL}/feeds/${feedId}/${file}?token=${encodeURIComponent(token)}`;
+  const xml = feeds.buildFeed({ ...channel, feedUrl: feedUrl(feedId, token) }, downloads, {
+    enclosureUrl: (download) => itemUrl(`media/${download._id}${path.extname(download.fileName)}`),
+    chaptersUrl: (download) => itemUrl(`chapters/${download._id}.json`)
+  });
+
+  res.type('application/rss+xml; charset=utf-8').send(xml);
+});
+
+// Only items that are part of the feed
+async function findItem(req) {
+  const { filter } = await loadFeed(req.params.feedId, req.query.token);
+  const downloadId = parseObjectId(req.params.downloadId, 'download id');
+  const download = await Download.findOne({ $and: [filter, { _id: downloadId }] }).lean();
+  if (!download) throw notFound('Download');
+  return download;
+}
+
+router.get('/:feedId/media/:downloadId.:ext', async (req, res) => {
+  const download = await findItem(req);
+  await storage.send(req, res, download);
+});
+
+router.get('/:feedId/chapters/:downloadId.json', async (req, res) => {
+  const download = await findItem(req);
+  const chapters = feeds.chaptersJson(download);
+  if (!chapters) throw notFound('Chapters');
+
+  res.type('application/json+chapters').send(JSON.stringify(chapters));
+});
+
+module.exports = router;
+module.exports.feedUrl = feedUrl;
@@ -0,0 +1,99 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const Download = require('../models/Download');
+const hls = require('../services/hls');
+const storage = require('../services/storage');
+const auth = require('../services/auth');
+const { HttpError, notFound, parseObjectId } = require('../errors');
+
+const router = express.Router();
+
+// Rendition names come from the ladder, file names from ffmpeg's hls muxer
+const RENDITION_NAME = /^[0-9]+[pk]$/;
+const FILE_NAME = /^(index\.m3u8|segment_\d{5}\.ts)$/;
+const PLAYLIST_TYPE = 'application/vnd.apple.mpegurl';
+
+async function findDownload(req) {
+  const download = await Download.findById(parseObjectId(req.params.id, 'download id'));
+  if (!download || !auth.canSee(req.user, download)) throw notFound('Download');
+  return download;
+}
+
+// Players resolve playlist entries relative to the playlist URL and drop its
+// query, so a ?access_token= (a media token, see services/auth) is carried
+// over onto every entry
+function withCredentials(playlist, req) {
+  if (typeof req.query.access_token !== 'string') return playlist;
+  const query = new URLSearchParams({ access_token: req.query.access_token });
+  return playlist.replace(/^(?!#)(\S+)$/gm, `$1?${query}`);
+}
+
+// Serves a packaged file, or explains why the ladder isn't there yet
+async function sendPackaged(req, res, relativePath) {
+  const download = await findDownload(req);
+  if (!download.hls || download.hls.status !== 'ready') {
+    throw new HttpError(409, 'HLS renditions are not ready', {
+      code: 'HLS_NOT_READY',
+      details: { status: download.hls ? download.hls.status : 'none' }
+    });
+  }
+
+  const filePath = path.join(hls.hlsDir(download._id), relativePath);
+  if (!fs.existsSync(filePath)) throw notFound('HLS file');
+  if (filePath.endsWith('.m3u8')) {
+    // Playlists are small and may be re-packaged, so don't let players cache them long
+    res.set('Cache-Control', 'no-cache');
+    return res.type(PLAYLIST_TYPE).send(withCredentials(fs.readFileSync(filePath, 'utf8'), req));
+  }
+  res.sendFile(filePath, { acceptRanges: true, maxAge: '1d' });
+}
+
+/**
+ * POST /hls/:id - queues (re-)packaging of a download into an HLS ladder.
+ */
+router.post('/:id', auth.authorize('download'), async (req, res) => {
+  const download = await findDownload(req);
+  await storage.locateFile(download);
+
+  const job = await hls.enqueuePackaging(download, req.user._id);
+  if (!job) {
+    return res.status(409).json({
+      error: 'Packaging is already in progress',
+      code: 'HLS_IN_PROGRESS',
+      details: { jobId: download.hls.job }
+    });
+  }
+  res.status(202).json({
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `${config.PUBLIC_URL}/jobs/${job._id}`,
+    masterUrl: `${config.PUBLIC_URL}/hls/${download._id}/master.m3u8`
+  });
+});
+
+/**
+ * GET /hls/:id - packaging state and rendition list.
+ */
+router.get('/:id', async (req, res) => {
+  const download = await findDownload(req);
+  res.json({
+    id: download._id,
+    hls: download.hls || { status: 'none' },
+    masterUrl:
+      download.hls && download.hls.status === 'ready'
+        ? `${config.PUBLIC_URL}/hls/${download._id}/master.m3u8`
+        : null
+  });
+});
+
+router.get('/:id/master.m3u8', (req, res) => sendPackaged(req, res, 'master.m3u8'));
+
+router.get('/:id/:rendition/:file', (req, res) => {
+  const { rendition, file } = req.params;
+  if (!RENDITION_NAME.test(rendition) || !FILE_NAME.test(file)) throw notFound('HLS file');
+  return sendPackaged(req, res, path.join(rendition, file));
+});
+
+module.exports = router;
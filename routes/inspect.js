@@ -0,0 +1,51 @@
+const express = require('express');
+const ytdlp = require('../services/ytdlp');
+const failures = require('../services/failures');
+const { normalizeFormats } = require('../services/formats');
+
+const router = express.Router();
+
+/**
+ * Preflight: title, duration, thumbnail and the available formats for a URL.
+ * Any `formatId` from the response can be passed to POST /download.
+ */
+async function inspect(req, res) {
+  const input = req.method === 'GET' ? req.query.url : (req.body || {}).url;
+  if (!input) return res.status(400).json({ error: 'url required' });
+
+  let url;
+  try {
+    url = ytdlp.normalizeUrl(input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+
+  try {
+    const info = await ytdlp.extractInfo(url);
+    res.json({
+      url,
+      id: info.id,
+      extractor: info.extractor_key || info.extractor,
+      title: info.title,
+      uploader: info.uploader,
+      duration: info.duration,
+      thumbnail: info.thumbnail,
+      isLive: Boolean(info.is_live),
+      formats: normalizeFormats(info)
+    });
+  } catch (err) {
+    console.error('Inspect error:', err.stderr || err.message);
+    const failure = failures.classify(err);
+    res.status(failures.httpStatus(failure.code)).json({
+      error: 'Could not inspect URL',
+      code: failure.code,
+      details: failure.message,
+      retryable: failure.retryable
+    });
+  }
+}
+
+router.get('/', inspect);
+router.post('/', inspect);
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const jobEvents = require('../services/jobEvents');
+const auth = require('../services/auth');
+const quotas = require('../services/quotas');
+
+const HEARTBEAT_INTERVAL = 15000;
+
+const router = express.Router();
+
+// List jobs, newest first (?status=queued|running|...&batch=<id>&limit=50)
+router.get('/', async (req, res) => {
+  const { status, batch } = req.query;
+  if (status && !Job.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Job.STATUSES.join(', ')}` });
+  }
+  if (batch && !mongoose.isValidObjectId(batch)) {
+    return res.status(400).json({ error: 'Invalid batch id' });
+  }
+
+  const filter = auth.ownedFilter(req.user);
+  if (status) filter.status = status;
+  if (batch) filter.batch = batch;
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ queue: jobQueue.stats(), jobs });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Single job status
+router.get('/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  try {
+    const job = await Job.findOne({ _id: req.params.id, ...auth.ownedFilter(req.user) });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Purge finished jobs from the history (?status=failed&before=2024-01-01);
+// queued, running and paused jobs are never touched, and neither are
+// downloads still counted against the daily quota
+router.delete('/', auth.authorize('download'), async (req, res) => {
+  const { status, before } = req.query;
+  if (status && !Job.FINISHED_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Job.FINISHED_STATUSES.join(', ')}` });
+  }
+  const cutoff = before ? new Date(before) : null;
+  if (cutoff && Number.isNaN(cutoff.getTime())) {
+    return res.status(400).json({ error: 'before must be a date' });
+  }
+
+  const filter = {
+    ...auth.ownedFilter(req.user),
+    status: status || { $in: Job.FINISHED_STATUSES },
+    $nor: [quotas.countedToday()]
+  };
+  if (cutoff) filter.finishedAt = { $lt: cutoff };
+
+  const { deletedCount } = await Job.deleteMany(filter);
+  console.log(`🗑️ Purged ${deletedCount} finished job(s)`);
+  res.json({ deleted: deletedCount });
+});
+
+// Loads a job the user owns, or answers 400/404 and returns null
+async function findJob(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid job id' });
+    return null;
+  }
+  const job = await Job.findOne({ _id: req.params.id, ...auth.ownedFilter(req.user) });
+  if (!job) res.status(404).json({ error: 'Job not found' });
+  return job;
+}
+
+const finishedConflict = (res, job) =>
+  res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+
+// Cancel: queued and paused jobs stop at once (200); a running job's
+// processes are killed and its partial files removed (202, then watch
+// /jobs/:id/events for the cancelled status)
+router.post('/:id/cancel', auth.authorize('download'), async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+  if (Job.FINISHED_STATUSES.includes(job.status)) return finishedConflict(res, job);
+
+  const updated = await jobQueue.cancel(job);
+  if (!updated) return finishedConflict(res, await Job.findById(job._id));
+  res.status(updated.status === 'running' ? 202 : 200).json(updated);
+});
+
+// Pause: a running download stops but keeps its .part files for resume
+router.post('/:id/pause', auth.authorize('download'), async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+  if (!['queued', 'running'].includes(job.status)) {
+    return res.status(409).json({ error: `Only queued or running jobs can be paused, this one is ${job.status}` });
+  }
+
+  const updated = await jobQueue.pause(job);
+  if (!updated) return res.status(409).json({ error: 'Job finished before it could be paused' });
+  res.status(updated.status === 'running' ? 202 : 200).json(updated);
+});
+
+// Resume: puts a paused job back in the queue at its priority
+router.post('/:id/resume', auth.authorize('download'), async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+
+  const updated = await jobQueue.resume(job);
+  if (!updated) return res.status(409).json({ error: `Only paused jobs can be resumed, this one is ${job.status}` });
+  res.json(updated);
+});
+
+// Change priority ({ priority: "high" | "normal" | "low" }) of a job that hasn't finished
+router.patch('/:id', auth.authorize('download'), async (req, res) => {
+  const { priority } = req.body || {};
+  if (!Job.PRIORITIES.includes(priority)) {
+    return res.status(400).json({ error: `priority must be one of: ${Job.PRIORITIES.join(', ')}` });
+  }
+  const job = await findJob(req, res);
+  if (!job) return;
+
+  const updated = await jobQueue.setPriority(job, priority);
+  if (!updated) return finishedConflict(res, job);
+  res.json(updated);
+});
+
+// Live progress as Server-Sent Events; the stream ends once the job finishes
+router.get('/:id/events', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid job id' });
+  }
+
+  let job;
+  try {
+    job = await Job.findOne({ _id: req.params.id, ...auth.ownedFilter(req.user) });
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({ error: 'Database error' });
+  }
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const jobId = String(job._id);
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = () => {
+    if (!res.writableEnded) res.end();
+  };
+
+  const onProgress = (id, progress) => {
+    if (id === jobId) send('progress', progress);
+  };
+  const onStatus = (id, snapshot) => {
+    if (id !== jobId) return;
+    send('status', snapshot);
+    if (Job.FINISHED_STATUSES.includes(snapshot.status)) finish();
+  };
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  jobEvents.on('progress', onProgress);
+  jobEvents.on('status', onStatus);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off('progress', onProgress);
+    jobEvents.off('status', onStatus);
+  });
+
+  // Reloaded once listening, so a job that finished in between still ends the stream
+  let current;
+  try {
+    current = await Job.findById(jobId);
+  } catch (error) {
+    console.error('Database error:', error);
+    return finish();
+  }
+  if (!current) return finish();
+  send('status', jobQueue.snapshot(current));
+  if (Job.FINISHED_STATUSES.includes(current.status)) finish();
+});
+
+module.exports = router;
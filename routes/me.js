@@ -0,0 +1,14 @@
+const express = require('express');
+const quotas = require('../services/quotas');
+
+/**
+ * The signed-in user's own usage. Account details live under /auth/me.
+ */
+const router = express.Router();
+
+// Quota limits (null = unlimited), current usage and what is left
+router.get('/usage', async (req, res) => {
+  res.json(await quotas.report(req.user));
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const config = require('../config');
+const Playlist = require('../models/Playlist');
+const Download = require('../models/Download');
+const library = require('../services/library');
+const playlists = require('../services/playlists');
+const auth = require('../services/auth');
+const { ValidationError, notFound, parseObjectId } = require('../errors');
+
+/**
+ * Ordered playlists of downloads, with M3U8/PLS/XSPF export and import.
+ */
+const router = express.Router();
+
+const ITEM_FIELDS = 'title fileName fileType duration uploader audioTags thumbnail webpageUrl';
+
+const summary = (playlist) => ({
+  _id: playlist._id,
+  name: playlist.name,
+  description: playlist.description,
+  itemCount: playlist.items.length,
+  createdAt: playlist.createdAt,
+  updatedAt: playlist.updatedAt
+});
+
+function parseFields(body, { creating = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ValidationError('Invalid playlist', ['body must be an object']);
+  }
+
+  const errors = [];
+  const fields = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (key === 'name' || key === 'description') {
+      if (typeof value !== 'string') errors.push(`${key} must be a string`);
+      else fields[key] = value.trim();
+    } else if (key !== 'ids' || !creating) {
+      errors.push(`${key} cannot be set`);
+    }
+  });
+
+  if ((creating || 'name' in fields) && !fields.name) errors.push('name is required');
+  if (!creating && !errors.length && Object.keys(fields).length === 0) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid playlist', errors);
+  return fields;
+}
+
+// Validates ids (duplicates kept, order kept) and checks the user can see them all
+async function parseItemIds(ids, user) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > playlists.MAX_ITEMS) {
+    throw new ValidationError('Invalid ids', [`ids must be an array of 1 to ${playlists.MAX_ITEMS} ids`]);
+  }
+  const unique = library.parseIds([...new Set(ids.map(String))]);
+  const found = new Set(
+    (await Download.find({ _id: { $in: unique }, ...auth.visibleFilter(user) }).distinct('_id')).map(String)
+  );
+  const missing = unique.filter((id) => !found.has(id));
+  if (missing.length) {
+    throw new ValidationError('Unknown downloads', missing.map((id) => `${id} is not in the library`));
+  }
+  return ids.map(String);
+}
+
+const checkSize = (count) => {
+  if (count > playlists.MAX_ITEMS) {
+    throw new ValidationError('Playlist is full', [`a playlist can hold at most ${playlists.MAX_ITEMS} items`]);
+  }
+};
+
+const isPosition = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+// Playlists are private to their owner (and admins)
+const ownPlaylist = (req) => ({ _id: parseObjectId(req.params.id, 'playlist id'), ...auth.ownedFilter(req.user) });
+
+async function findPlaylist(req) {
+  const playlist = await Playlist.findOne(ownPlaylist(req));
+  if (!playlist) throw notFound('Playlist');
+  return playlist;
+}
+
+// Loads item downloads; ones the user can no longer see come back as null
+const populateItems = (playlist, user) =>
+  playlist.populate({ path: 'items.download', select: ITEM_FIELDS, match: auth.visibleFilter(user) });
+
+// Full playlist with each item's download details, in order
+async function present(playlist, user) {
+  await populateItems(playlist, user);
+  return {
+    ...playlist.toObject(),
+    items: playlist.items.map((item, position) => ({
+      position,
+      addedAt: item.addedAt,
+      // null once the download is gone or no longer shared
+      download: item.download ? { ...item.download.toObject(), link: library.fileLink(item.download) } : null
+    }))
+  };
+}
+
+router.get('/', async (req, res) => {
+  const list = await Playlist.find(auth.ownedFilter(req.user)).sort({ updatedAt: -1 });
+  res.json(list.map(summary));
+});
+
+router.post('/', auth.authorize('edit'), async (req, res) => {
+  const body = req.body || {};
+  const fields = parseFields(body, { creating: true });
+  const ids = body.ids === undefined ? [] : await parseItemIds(body.ids, req.user);
+
+  const playlist = await Playlist.create({
+    ...fields,
+    owner: req.user._id,
+    items: ids.map((id) => ({ download: id }))
+  });
+  res.status(201).json(await present(playlist, req.user));
+});
+
+// Import: { content, format?, name?, description? }; entries that match nothing are reported back
+router.post('/import', auth.authorize('edit'), async (req, res) => {
+  const { name, description, format, entries } = playlists.parseImport(req.body || {});
+  const { matched, unmatched } = await playlists.matchEntries(entries, auth.visibleFilter(req.user));
+
+  const playlist = await Playlist.create({
+    name,
+    description,
+    owner: req.user._id,
+    items: matched.map((id) => ({ download: id }))
+  });
+  res.status(201).json({
+    playlist: await present(playlist, req.user),
+    format,
+    matched: matched.length,
+    unmatched
+  });
+});
+
+router.get('/:id', async (req, res) => {
+  res.json(await present(await findPlaylist(req), req.user));
+});
+
+// Rename / describe
+router.patch('/:id', auth.authorize('edit'), async (req, res) => {
+  const playlist = await Playlist.findOneAndUpdate(
+    ownPlaylist(req),
+    { $set: parseFields(req.body) },
+    { new: true, runValidators: true }
+  );
+  if (!playlist) throw notFound('Playlist');
+  res.json(await present(playlist, req.user));
+});
+
+// Add: { ids: [...], position? } - appended unless a position is given
+router.post('/:id/items', auth.authorize('edit'), async (req, res) => {
+  const { ids: rawIds, position } = req.body || {};
+  const playlist = await findPlaylist(req);
+  const ids = await parseItemIds(rawIds, req.user);
+  checkSize(playlist.items.length + ids.length);
+  if (position !== undefined && !isPosition(position, playlist.items.length + 1)) {
+    throw new ValidationError('Invalid position', [`position must be an integer from 0 to ${playlist.items.length}`]);
+  }
+
+  playlist.items.splice(
+    position === undefined ? playlist.items.length : position,
+    0,
+    ...ids.map((id) => ({ download: id }))
+  );
+  await playlist.save();
+  res.json(await present(playlist, req.user));
+});
+
+// Remove: { positions: [...] } for specific entries, or { ids: [...] } for every entry of those downloads
+router.delete('/:id/items', auth.authorize('edit'), async (req, res) => {
+  const { ids: rawIds, positions } = req.body || {};
+  const playlist = await findPlaylist(req);
+
+  if (positions !== undefined) {
+    if (!Array.isArray(positions) || !positions.every((p) => isPosition(p, playlist.items.length))) {
+      throw new ValidationError('Invalid positions', [
+        `positions must be an array of integers from 0 to ${playlist.items.length - 1}`
+      ]);
+    }
+    const drop = new Set(positions);
+    playlist.items = playlist.items.filter((item, i) => !drop.has(i));
+  } else {
+    const ids = new Set(library.parseIds(rawIds));
+    playlist.items = playlist.items.filter((item) => !ids.has(String(item.download)));
+  }
+  await playlist.save();
+  res.json(await present(playlist, req.user));
+});
+
+// Move one entry: { from, to }
+router.post('/:id/move', auth.authorize('edit'), async (req, res) => {
+  const { from, to } = req.body || {};
+  const playlist = await findPlaylist(req);
+  const { length } = playlist.items;
+  if (!isPosition(from, length) || !isPosition(to, length)) {
+    throw new ValidationError('Invalid move', [`from and to must be integers from 0 to ${length - 1}`]);
+  }
+
+  const items = playlist.items.map((item) => item.toObject());
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  playlist.items = items;
+  await playlist.save();
+  res.json(await present(playlist, req.user));
+});
+
+// Reorder everything: { order: [positions] }, a permutation of the current positions
+router.put('/:id/order', auth.authorize('edit'), async (req, res) => {
+  const { order } = req.body || {};
+  const playlist = await findPlaylist(req);
+  const { length } = playlist.items;
+  const isPermutation =
+    Array.isArray(order) &&
+    order.length === length &&
+    order.every((p) => isPosition(p, length)) &&
+    new Set(order).size === length;
+  if (!isPermutation) {
+    throw new ValidationError('Invalid order', [`order must list every position from 0 to ${length - 1} once`]);
+  }
+
+  const items = playlist.items.map((item) => item.toObject());
+  playlist.items = order.map((p) => items[p]);
+  await playlist.save();
+  res.json(await present(playlist, req.user));
+});
+
+router.post('/:id/duplicate', auth.authorize('edit'), async (req, res) => {
+  const { name } = req.body || {};
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new ValidationError('Invalid playlist', ['name must be a non-empty string']);
+  }
+  const source = await findPlaylist(req);
+
+  const copy = await Playlist.create({
+    name: name ? name.trim() : `${source.name} (copy)`,
+    owner: req.user._id,
+    description: source.description,
+    items: source.items.map((item) => item.toObject())
+  });
+  res.status(201).json(await present(copy, req.user));
+});
+
+router.delete('/:id', auth.authorize('edit'), async (req, res) => {
+  const playlist = await Playlist.findOneAndDelete(ownPlaylist(req));
+  if (!playlist) throw notFound('Playlist');
+  res.json({ deleted: playlist._id });
+});
+
+// GET /playlists/:id/export.m3u8 | .pls | .xspf - stream URLs carry a read-only
+// media token so any player can open them; ?token=false leaves it out
+router.get('/:id/export.:format', async (req, res) => {
+  if (!Object.hasOwn(playlists.FORMATS, req.params.format)) throw notFound('Export format');
+  const format = playlists.FORMATS[req.params.format];
+  const playlist = await findPlaylist(req);
+
+  await populateItems(playlist, req.user);
+  const downloads = playlist.items.map((item) => item.download).filter(Boolean);
+  const accessToken =
+    req.query.token === 'false'
+      ? null
+      : auth.signToken(req.user, { scope: 'media', expiresIn: config.MEDIA_TOKEN_EXPIRES_IN });
+  const fileName = `${playlist.name.replace(/[^\w .-]+/g, '_')}.${format.extension}`;
+
+  res
+    .type(`${format.contentType}; charset=utf-8`)
+    .attachment(fileName)
+    .send(playlists.exportPlaylist(playlist, downloads, req.params.format, { accessToken }));
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const Download = require('../models/Download');
+const transcoder = require('../services/transcoder');
+const storage = require('../services/storage');
+const auth = require('../services/auth');
+const { notFound, parseObjectId } = require('../errors');
+
+const router = express.Router();
+
+/**
+ * GET /stream/:id - the original file with byte-range support, or with
+ * ?format=mp3|m4a|opus|ogg&bitrate=96 an audio transcode (cached on disk).
+ */
+router.get('/:id', async (req, res) => {
+  const options = transcoder.parseTranscodeOptions(req.query);
+  const download = await Download.findById(parseObjectId(req.params.id, 'download id'));
+  if (!download || !auth.canSee(req.user, download)) throw notFound('Download');
+
+  if (!options) return storage.send(req, res, download);
+  transcoder.sendTranscode(req, res, download, await storage.inputFor(download), options);
+});
+
+module.exports = router;
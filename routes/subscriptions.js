@@ -0,0 +1,78 @@
+const express = require('express');
+const config = require('../config');
+const Subscription = require('../models/Subscription');
+const subscriptions = require('../services/subscriptions');
+const auth = require('../services/auth');
+const { notFound, parseObjectId } = require('../errors');
+
+/**
+ * Subscriptions: channels and playlists checked on a schedule, with every
+ * new upload downloaded using the subscription's options. Each poll's report
+ * is kept in `runs`; GET /subscriptions/:id also lists what recent polls
+ * queued and how those downloads went.
+ */
+const router = express.Router();
+
+// Subscriptions are private to their owner (and admins)
+const ownSubscription = (req) => ({
+  _id: parseObjectId(req.params.id, 'subscription id'),
+  ...auth.ownedFilter(req.user)
+});
+
+async function findSubscription(req) {
+  const subscription = await Subscription.findOne(ownSubscription(req));
+  if (!subscription) throw notFound('Subscription');
+  return subscription;
+}
+
+router.get('/', async (req, res) => {
+  // Only the latest run report per subscription
+  const list = await Subscription.find(auth.ownedFilter(req.user))
+    .sort({ createdAt: -1 })
+    .select({ runs: { $slice: 1 } });
+  res.json(list);
+});
+
+// { url, type, audio/video/tags/... as for /download, schedule: "0 */6 * * *",
+//   filters: { minDuration, maxDuration, titleInclude, titleExclude },
+//   keepLast, backfill, enabled }
+router.post('/', auth.authorize('download'), async (req, res) => {
+  const fields = subscriptions.parseSubscription(req.body, { creating: true });
+  const subscription = await Subscription.create({ ...fields, owner: req.user._id });
+  console.log(`📡 Subscribed to ${subscription.url} (${subscription.schedule})`);
+  res.status(201).json(subscription);
+});
+
+router.get('/:id', async (req, res) => {
+  res.json(await subscriptions.summarize(await findSubscription(req)));
+});
+
+router.patch('/:id', auth.authorize('download'), async (req, res) => {
+  const subscription = await Subscription.findOneAndUpdate(
+    ownSubscription(req),
+    { $set: subscriptions.parseSubscription(req.body) },
+    { new: true, runValidators: true }
+  );
+  if (!subscription) throw notFound('Subscription');
+  res.json(subscription);
+});
+
+// Poll now instead of waiting for the schedule
+router.post('/:id/run', auth.authorize('download'), async (req, res) => {
+  const job = await subscriptions.enqueuePoll(await findSubscription(req));
+  res.status(202).json({
+    message: 'Subscription poll queued',
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `${config.PUBLIC_URL}/jobs/${job._id}`
+  });
+});
+
+// Downloads it fetched stay in the library
+router.delete('/:id', auth.authorize('download'), async (req, res) => {
+  const subscription = await findSubscription(req);
+  await subscriptions.remove(subscription);
+  res.json({ deleted: subscription._id });
+});
+
+module.exports = router;
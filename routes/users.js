@@ -0,0 +1,103 @@
+const express = require('express');
+const User = require('../models/User');
+const auth = require('../services/auth');
+const quotas = require('../services/quotas');
+const { ValidationError, HttpError, notFound, parseObjectId } = require('../errors');
+
+/**
+ * Account administration (admins only): list, create, change role or
+ * quota, disable/enable, reset password, delete.
+ */
+const router = express.Router();
+
+router.use(auth.authorize('manage'));
+
+function checkRole(role, errors) {
+  if (!User.ROLES.includes(role)) errors.push(`role must be one of ${User.ROLES.join(', ')}`);
+}
+
+router.get('/', async (req, res) => {
+  const users = await User.find().sort({ createdAt: 1 });
+  res.json(users);
+});
+
+// { email, password, name?, role? }
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  auth.checkEmail(body.email, errors);
+  auth.checkPassword(body.password, errors);
+  if (body.role !== undefined) checkRole(body.role, errors);
+  if (body.name !== undefined && typeof body.name !== 'string') errors.push('name must be a string');
+  if (errors.length) throw new ValidationError('Invalid user', errors);
+
+  const email = body.email.trim().toLowerCase();
+  if (await User.exists({ email })) throw new HttpError(409, 'Email is already registered', { code: 'EMAIL_TAKEN' });
+
+  const user = await User.create({
+    email,
+    name: body.name,
+    role: body.role,
+    passwordHash: await auth.hashPassword(body.password)
+  });
+  res.status(201).json(user);
+});
+
+router.get('/:id/usage', async (req, res) => {
+  const user = await User.findById(parseObjectId(req.params.id, 'user id'));
+  if (!user) throw notFound('User');
+  res.json(await quotas.report(user));
+});
+
+// { role?, disabled?, password?, name?, quota? } - disabling or a new password signs the user out.
+// quota holds per-user overrides; null resets a limit to the role's.
+router.patch('/:id', async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  Object.keys(body).forEach((key) => {
+    if (!['role', 'disabled', 'password', 'name', 'quota'].includes(key)) errors.push(`${key} cannot be set`);
+  });
+  const quota = body.quota !== undefined ? quotas.parseQuota(body.quota, errors) : null;
+  if (body.role !== undefined) checkRole(body.role, errors);
+  if (body.disabled !== undefined && typeof body.disabled !== 'boolean') errors.push('disabled must be a boolean');
+  if (body.password !== undefined) auth.checkPassword(body.password, errors);
+  if (body.name !== undefined && typeof body.name !== 'string') errors.push('name must be a string');
+  if (!errors.length && Object.keys(body).length === 0) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid update', errors);
+
+  const user = await User.findById(parseObjectId(req.params.id, 'user id'));
+  if (!user) throw notFound('User');
+  // Keeps at least one way back in
+  if (user._id.equals(req.user._id) && (body.disabled || (body.role && body.role !== 'admin'))) {
+    throw new ValidationError('Invalid update', ['you cannot disable yourself or drop your own admin role']);
+  }
+
+  if (body.role !== undefined) user.role = body.role;
+  if (quota) {
+    Object.entries(quota).forEach(([key, limit]) => user.set(`quota.${key}`, limit === null ? undefined : limit));
+  }
+  if (body.name !== undefined) user.name = body.name.trim();
+  if (body.disabled !== undefined) {
+    if (body.disabled && !user.disabled) user.tokenVersion += 1;
+    user.disabled = body.disabled;
+  }
+  if (body.password !== undefined) {
+    user.passwordHash = await auth.hashPassword(body.password);
+    user.tokenVersion += 1;
+  }
+  await user.save();
+  res.json(user);
+});
+
+// The user's downloads, jobs and playlists stay; their owner no longer resolves
+router.delete('/:id', async (req, res) => {
+  const id = parseObjectId(req.params.id, 'user id');
+  if (String(req.user._id) === String(id)) {
+    throw new ValidationError('Invalid delete', ['you cannot delete your own account']);
+  }
+  const user = await User.findByIdAndDelete(id);
+  if (!user) throw notFound('User');
+  res.json({ deleted: user._id });
+});
+
+module.exports = router;
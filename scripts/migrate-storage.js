@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Download = require('../models/Download');
+const storage = require('../services/storage');
+
+/**
+ * Moves existing files between storage drivers:
+ *
+ *   npm run migrate-storage -- --to s3 [--dry-run] [--limit 100]
+ *
+ * --to defaults to STORAGE_DRIVER. Each file is copied, checked, the record
+ * repointed and only then the original removed, so the command can be
+ * stopped and re-run at any point.
+ */
+
+function parseArgs(argv) {
+  const args = { to: config.STORAGE_DRIVER, dryRun: false, limit: 0 };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--to') args.to = argv[(i += 1)];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--limit') args.limit = parseInt(argv[(i += 1)], 10);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!Number.isInteger(args.limit) || args.limit < 0) throw new Error('--limit must be a positive number');
+  storage.driver(args.to);
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Records without a driver are local files
+  const filter =
+    args.to === 'local'
+      ? { storageDriver: { $exists: true, $ne: 'local' } }
+      : { storageDriver: { $ne: args.to }, filePath: { $exists: true } };
+
+  await mongoose.connect(config.MONGO_URI);
+  const total = await Download.countDocuments(filter);
+  console.log(`📦 ${total} download(s) to move to "${args.to}"${args.dryRun ? ' (dry run)' : ''}`);
+
+  const counts = { moved: 0, missing: 0, failed: 0 };
+  const cursor = Download.find(filter).sort({ _id: 1 }).limit(args.limit).cursor();
+  for await (const download of cursor) {
+    if (args.dryRun) {
+      console.log(`  ${download._id} ${download.fileName}`);
+      continue;
+    }
+    try {
+      await storage.migrate(download, args.to);
+      counts.moved += 1;
+      console.log(`  ✅ ${download._id} ${download.fileName}`);
+    } catch (err) {
+      const missing = err.code === 'FILE_MISSING';
+      counts[missing ? 'missing' : 'failed'] += 1;
+      console.error(`  ${missing ? '⚠️' : '❌'} ${download._id} ${download.fileName}: ${err.message}`);
+    }
+  }
+
+  if (!args.dryRun) console.log(`📦 Moved ${counts.moved}, missing ${counts.missing}, failed ${counts.failed}`);
+  await mongoose.disconnect();
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const { HttpError } = require('../errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Accounts and authorization. Requests authenticate with, in order:
+ *   Authorization: Bearer <jwt or API key>, X-API-Key: <key>, the session
+ *   cookie set by /auth/login, or (GET/HEAD only, for players that can't send
+ *   headers) ?access_token= with a media token. Query strings end up in
+ *   logs and shared playlist files, so API keys and login tokens are never
+ *   accepted there.
+ */
+
+// What each role may do; ownership checks come on top (see canModify)
+const PERMISSIONS = {
+  admin: ['read', 'download', 'edit', 'delete', 'manage'],
+  member: ['read', 'download', 'edit', 'delete'],
+  viewer: ['read']
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const API_KEY_PREFIX = 'mad_';
+const KEY_TOUCH_INTERVAL = 60 * 1000;
+// Read-only media tokens only work on these paths
+const MEDIA_PATHS = /^\/(stream|downloads|hls)\//;
+
+const secret = config.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!config.JWT_SECRET) console.warn('⚠️ JWT_SECRET is not set; logins will not survive a restart');
+
+const unauthenticated = (message = 'Authentication required') =>
+  new HttpError(401, message, { code: 'UNAUTHENTICATED' });
+
+const forbidden = (message = 'Not allowed') => new HttpError(403, message, { code: 'FORBIDDEN' });
+
+function checkEmail(email, errors) {
+  if (typeof email !== 'string' || !EMAIL.test(email.trim())) errors.push('email must be an email address');
+}
+
+function checkPassword(password, errors) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signs a login JWT, or with `scope: 'media'` a read-only token for
+ * embedding in stream URLs.
+ */
+function signToken(user, { scope, expiresIn = config.JWT_EXPIRES_IN } = {}) {
+  const payload = { sub: String(user._id), tv: user.tokenVersion || 0 };
+  if (scope) payload.scope = scope;
+  return jwt.sign(payload, secret, { expiresIn });
+}
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * A new API key: `{ key, record }`, where only `record` (prefix and hash)
+ * is stored and `key` is shown to the user once.
+ */
+function newApiKey(name) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, record: { name, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) } };
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  const pair = header.split(';').find((part) => part.trim().startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.trim().slice(name.length + 1)) : null;
+}
+
+// Works on plain http requests too (WebSocket upgrades), not only Express ones
+const requestUrl = (req) => new URL(req.originalUrl || req.url, 'http://localhost');
+const isRead = (req) => req.method === 'GET' || req.method === 'HEAD';
+
+// The credential a request carries, as { kind: 'jwt' | 'key', value, inQuery }
+function credentialFrom(req) {
+  const header = req.headers.authorization;
+  if (header && /^bearer\s/i.test(header)) {
+    const value = header.slice(7).trim();
+    return { kind: value.startsWith(API_KEY_PREFIX) ? 'key' : 'jwt', value };
+  }
+  if (req.headers['x-api-key']) return { kind: 'key', value: req.headers['x-api-key'] };
+
+  const cookie = readCookie(req, config.SESSION_COOKIE);
+  if (cookie) return { kind: 'jwt', value: cookie };
+
+  if (isRead(req)) {
+    const token = requestUrl(req).searchParams.get('access_token');
+    if (token) return { kind: 'jwt', value: token, inQuery: true };
+  }
+  return null;
+}
+
+async function userFromJwt(token, req, { inQuery = false } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch {
+    throw unauthenticated('Invalid or expired token');
+  }
+  if (inQuery && payload.scope !== 'media') {
+    throw unauthenticated('Only media tokens can be sent as ?access_token=; send this one in a header');
+  }
+  if (payload.scope === 'media' && !(isRead(req) && MEDIA_PATHS.test(requestUrl(req).pathname))) {
+    throw forbidden('This token can only be used to play media');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || user.tokenVersion !== payload.tv) throw unauthenticated('Invalid or expired token');
+  return user;
+}
+
+async function userFromApiKey(key) {
+  const hash = hashApiKey(key);
+  const user = await User.findOne({ 'apiKeys.hash': hash });
+  if (!user) throw unauthenticated('Invalid API key');
+
+  const record = user.apiKeys.find((apiKey) => apiKey.hash === hash);
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > KEY_TOUCH_INTERVAL) {
+    User.updateOne({ _id: user._id, 'apiKeys._id': record._id }, { $set: { 'apiKeys.$.lastUsedAt': new Date() } })
+      .exec()
+      .catch((err) => console.error('API key touch error:', err.message));
+  }
+  return user;
+}
+
+/**
+ * Resolves the request's user (or null when it carries no credentials).
+ * Invalid credentials are an error rather than anonymous access.
+ */
+async function resolveUser(req) {
+  const credential = credentialFrom(req);
+  if (!credential) return null;
+
+  const user =
+    credential.kind === 'key'
+      ? await userFromApiKey(credential.value)
+      : await userFromJwt(credential.value, req, { inQuery: credential.inQuery });
+  if (user.disabled) throw forbidden('Account is disabled');
+  return user;
+}
+
+/**
+ * Middleware: sets req.user or answers 401.
+ */
+async function authenticate(req, res, next) {
+  const user = await resolveUser(req);
+  if (!user) throw unauthenticated();
+  req.user = user;
+  next();
+}
+
+const can = (user, permission) => Boolean(user) && PERMISSIONS[user.role].includes(permission);
+
+/**
+ * Middleware: requires the role to include `permission`.
+ */
+const authorize = (permission) => (req, res, next) => {
+  if (!can(req.user, permission)) throw forbidden(`Your role (${req.user.role}) cannot ${permission}`);
+  next();
+};
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a) === String(b);
+
+/**
+ * Download filter for what a user can see: their own items, shared items
+ * and items from before accounts existed (no owner). Admins see everything.
+ */
+const visibleFilter = (user) =>
+  can(user, 'manage') ? {} : { $or: [{ owner: user._id }, { shared: true }, { owner: null }] };
+
+/**
+ * Filter for records only their owner (or an admin) may see: jobs,
+ * batches, playlists, collections.
+ */
+const ownedFilter = (user) => (can(user, 'manage') ? {} : { owner: user._id });
+
+const canSee = (user, download) =>
+  can(user, 'manage') || !download.owner || download.shared || sameId(download.owner, user._id);
+
+// Changing a record needs the permission and ownership; owner-less records are admin-only
+const canModify = (user, doc, permission = 'edit') =>
+  can(user, permission) && (can(user, 'manage') || sameId(doc.owner, user._id));
+
+module.exports = {
+  PERMISSIONS,
+  checkEmail,
+  checkPassword,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  newApiKey,
+  resolveUser,
+  authenticate,
+  authorize,
+  can,
+  visibleFilter,
+  ownedFilter,
+  canSee,
+  canModify,
+  forbidden,
+  unauthenticated
+};
@@ -0,0 +1,271 @@
+const Batch = require('../models/Batch');
+const Job = require('../models/Job');
+const ytdlp = require('./ytdlp');
+const jobQueue = require('./jobQueue');
+const quotas = require('./quotas');
+const { ValidationError } = require('../errors');
+
+/**
+ * Playlist, channel and album URLs become a Batch: an "expand" job lists the
+ * entries with yt-dlp and queues one download job per entry.
+ */
+
+// host -> path patterns that point at a collection rather than one item
+const COLLECTION_PATHS = [
+  [/(^|\.)youtube\.com$/, /^\/(playlist|channel\/|c\/|user\/|@|browse\/)/],
+  [/(^|\.)soundcloud\.com$/, /^\/[^/]+(\/?$|\/(sets|tracks|albums)(\/|$))/],
+  [/(^|\.)bandcamp\.com$/, /^\/(album\/|music\/?$|$)/],
+  [/(^|\.)vimeo\.com$/, /^\/(channels|showcase|album|user\d+)(\/|$)/]
+];
+
+// YouTube channel roots list tabs (Videos, Shorts, Live) instead of uploads
+const YOUTUBE_CHANNEL_ROOT = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/?$/;
+
+const ITEMS_SPEC = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+
+function isCollectionUrl(url) {
+  const { hostname, pathname } = new URL(url);
+  return COLLECTION_PATHS.some(([host, pattern]) => host.test(hostname) && pattern.test(pathname));
+}
+
+/**
+ * Decides whether a /download request is a batch and validates its range
+ * options. Returns null for single downloads, else `{ items, newest, dateAfter }`.
+ */
+function parseBatchRequest(url, body) {
+  const { playlist, items, newest, dateAfter } = body;
+  const errors = [];
+
+  if (playlist !== undefined && typeof playlist !== 'boolean') errors.push('playlist must be a boolean');
+  const isBatch = playlist === undefined ? isCollectionUrl(url) : playlist;
+
+  if (!isBatch) {
+    if (items !== undefined || newest !== undefined) {
+      errors.push('items and newest only apply to playlist/channel URLs');
+    }
+    if (errors.length) throw new ValidationError('Invalid download options', errors);
+    return null;
+  }
+
+  const range = {};
+  if (items !== undefined && newest !== undefined) errors.push('items and newest are mutually exclusive');
+  if (items !== undefined) {
+    const spec = String(items).replace(/\s+/g, '');
+    if (!ITEMS_SPEC.test(spec)) errors.push('items must look like "1-20" or "1,3,5-7"');
+    else range.items = spec;
+  }
+  if (newest !== undefined) {
+    if (!Number.isInteger(newest) || newest < 1) errors.push('newest must be a positive integer');
+    else range.newest = newest;
+  }
+  if (dateAfter !== undefined) {
+    const day = String(dateAfter).replace(/-/g, '');
+    if (!/^\d{8}$/.test(day)) errors.push('dateAfter must be a date like 2024-08-24');
+    else range.dateAfter = day;
+  }
+  if (body.formatId !== undefined) errors.push('formatId cannot be used for playlists; use audio/video options');
+  if (body.start !== undefined || body.end !== undefined || body.clips !== undefined) {
+    errors.push('clips cannot be used for playlists');
+  }
+
+  if (errors.length) throw new ValidationError('Invalid download options', errors);
+  return range;
+}
+
+function listingUrl(url) {
+  const parsed = new URL(url);
+  if (/(^|\.)youtube\.com$/.test(parsed.hostname) && YOUTUBE_CHANNEL_ROOT.test(parsed.pathname)) {
+    parsed.pathname = `${parsed.pathname.replace(/\/$/, '')}/videos`;
+  }
+  return parsed.toString();
+}
+
+/**
+ * Lists a playlist without downloading anything. Entries carry at least
+ * `url`/`id` and usually `title`, `duration` and, for some sites, `upload_date`.
+ */
+async function listEntries(url, { items, newest } = {}, { signal } = {}) {
+  const args = ['--flat-playlist', '--dump-single-json', '--yes-playlist', '--no-warnings'];
+  if (items) args.push('--playlist-items', items);
+  // Channels and most playlists list newest first
+  else if (newest) args.push('--playlist-items', `:${newest}`);
+  args.push('--', listingUrl(url));
+
+  const { stdout } = await ytdlp.run(args, { signal });
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch {
+    throw new ytdlp.YtDlpError(ytdlp.ERROR_CODES.FAILED, 'yt-dlp returned invalid playlist JSON');
+  }
+
+  // A plain video URL comes back as a single item
+  const entries = info._type === 'playlist' ? (info.entries || []).filter(Boolean) : [info];
+  return { info, entries };
+}
+
+// Flat entries sometimes only carry an id
+function entryUrl(entry) {
+  const candidate = entry.webpage_url || entry.url || entry.original_url;
+  try {
+    return ytdlp.normalizeUrl(candidate);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Handler for "expand" jobs: lists the batch URL and queues a download job
+ * per entry.
+ */
+async function runExpandJob(job, { onProgress, signal } = {}) {
+  const batch = await Batch.findById(job.batch);
+  if (!batch) throw new Error('Batch no longer exists');
+  // Items are queued before the batch is marked expanded, so an expanded
+  // batch is done; otherwise an interrupted attempt may have queued some
+  if (batch.state === 'expanded') return { batch: batch._id, items: batch.totalItems };
+  const alreadyQueued = new Set(await Job.find({ batch: batch._id, kind: 'download' }).distinct('params.url'));
+
+  if (onProgress) onProgress({ phase: 'listing playlist' });
+
+  const { params } = job.toObject();
+  const range = batch.toObject().range || {};
+
+  let listing;
+  try {
+    listing = await listEntries(batch.url, range, { signal });
+  } catch (err) {
+    batch.state = 'failed';
+    batch.error = { code: err.code, message: err.message };
+    await batch.save();
+    const jobErr = new Error(err.message);
+    jobErr.code = err.code;
+    jobErr.details = err.stderr;
+    throw jobErr;
+  }
+
+  const { info, entries } = listing;
+  const childParams = {
+    type: params.type,
+    audio: params.audio,
+    video: params.video,
+    tags: params.tags,
+    coverArt: params.coverArt,
+    splitChapters: params.splitChapters,
+    loudness: params.loudness,
+    dateAfter: range.dateAfter,
+    force: params.force
+  };
+
+  // Items past the owner's daily download quota are recorded as skipped
+  let allowance = await quotas.downloadsLeft(job.owner);
+  const children = [];
+  let totalItems = 0;
+  entries.forEach((entry, index) => {
+    const url = entryUrl(entry);
+    if (!url) return;
+    // Flat listings include upload dates for some sites; filter early when we can
+    if (range.dateAfter && entry.upload_date && entry.upload_date < range.dateAfter) return;
+    totalItems++;
+    if (alreadyQueued.has(url)) return;
+
+    const child = {
+      kind: 'download',
+      owner: job.owner,
+      batch: batch._id,
+      playlistIndex: entry.playlist_index || index + 1,
+      title: entry.title,
+      priority: job.priority,
+      params: { ...childParams, url }
+    };
+    if (allowance > 0) {
+      allowance--;
+    } else {
+      Object.assign(child, {
+        status: 'skipped',
+        finishedAt: new Date(),
+        result: { reason: 'Daily download quota reached' }
+      });
+    }
+    children.push(child);
+  });
+  if (children.length) await jobQueue.enqueueMany(children);
+
+  batch.set({
+    state: 'expanded',
+    // An earlier attempt may have failed before a retry got through
+    error: undefined,
+    title: info.title,
+    uploader: info.uploader || info.channel,
+    extractor: info.extractor_key || info.extractor,
+    sourceId: info.id,
+    totalEntries: entries.length,
+    totalItems
+  });
+  await batch.save();
+  console.log(`📚 Batch ${batch._id} expanded into ${totalItems} job(s)`);
+
+  return { batch: batch._id, items: totalItems };
+}
+
+/**
+ * Cleanup for "expand" jobs that end without listing the batch (cancelled,
+ * or given up on after restarts), so the batch doesn't stay "expanding".
+ */
+async function abandonBatch(job) {
+  const error = job.error || { code: 'CANCELLED', message: 'Cancelled by request' };
+  await Batch.updateOne(
+    { _id: job.batch, state: 'expanding' },
+    { $set: { state: 'failed', error: { code: error.code, message: error.message } } }
+  );
+}
+
+/**
+ * Creates a batch owned by `owner` and queues its expand job. The items
+ * inherit `priority`; bulk work defaults to low so single downloads go first.
+ */
+async function createBatch(url, options, range, owner, priority = 'low') {
+  const batch = await Batch.create({ url, range, owner });
+  const job = await jobQueue.enqueue({ url, ...options }, { kind: 'expand', batch: batch._id, owner, priority });
+  return { batch, job };
+}
+
+/**
+ * Batch document plus per-status counts and the child jobs.
+ */
+async function summarize(batch) {
+  const items = await Job.find({ batch: batch._id, kind: 'download' })
+    .sort({ playlistIndex: 1 })
+    .select('status playlistIndex title progress.percent result error startedAt finishedAt');
+
+  const counts = Object.fromEntries(Job.STATUSES.map((status) => [status, 0]));
+  items.forEach((item) => {
+    counts[item.status]++;
+  });
+
+  const finished = Job.FINISHED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  const status =
+    batch.state !== 'expanded' ? batch.state : finished === items.length ? 'completed' : 'running';
+
+  return {
+    ...batch.toObject(),
+    status,
+    summary: {
+      total: items.length,
+      ...counts,
+      percent: items.length ? Math.round((finished / items.length) * 100) : 0
+    },
+    items
+  };
+}
+
+module.exports = {
+  parseBatchRequest,
+  isCollectionUrl,
+  listEntries,
+  entryUrl,
+  runExpandJob,
+  abandonBatch,
+  createBatch,
+  summarize
+};
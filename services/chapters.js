@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const Download = require('../models/Download');
+const ffmpeg = require('./ffmpeg');
+const tagger = require('./tagger');
+const loudness = require('./loudness');
+
+// Source metadata shared by every track cut from the same download
+const INHERITED_FIELDS = [
+  'owner',
+  'shared',
+  'url',
+  'fileType',
+  'uploader',
+  'uploaderId',
+  'channel',
+  'channelId',
+  'channelUrl',
+  'uploadDate',
+  'sourceId',
+  'extractor',
+  'webpageUrl',
+  'thumbnail',
+  'tags',
+  'categories',
+  'container',
+  'audioCodec',
+  'videoCodec',
+  'sampleRate',
+  'channels',
+  'width',
+  'height',
+  'fps'
+];
+
+/**
+ * Cuts a finished download into one file per chapter (stream copy) and saves
+ * each as its own Download linked to `parent`. Audio tracks are tagged with
+ * the chapter title, their track number and the source title as album.
+ * With ReplayGain each track gets its own track gain and the parent's
+ * loudness as album gain; normalized parents pass their level on as is.
+ * Returns the created Download documents.
+ */
+async function splitByChapters(parent, info, params, { signal, onProgress } = {}) {
+  const chapters = parent.chapters.filter((chapter) => chapter.endTime > chapter.startTime);
+  const ext = path.extname(parent.fileName).slice(1);
+  const basename = path.basename(parent.fileName, `.${ext}`);
+  const digits = Math.max(2, String(chapters.length).length);
+  const isAudio = parent.fileType === 'audio';
+
+  let coverPath = null;
+  if (isAudio && params.coverArt !== false && parent.thumbnail) {
+    try {
+      coverPath = await tagger.prepareCover(parent.thumbnail, parent.filePath, { signal });
+    } catch (err) {
+      console.warn(`⚠️ Cover art skipped for chapters of ${parent.fileName}:`, err.message);
+    }
+  }
+
+  const created = [];
+  try {
+    for (const [index, chapter] of chapters.entries()) {
+      const trackNumber = index + 1;
+      const fileName = `${basename}_${String(trackNumber).padStart(digits, '0')}.${ext}`;
+      const filePath = path.join(path.dirname(parent.filePath), fileName);
+
+      if (onProgress) {
+        onProgress({ phase: 'splitting chapters', percent: Math.round((index / chapters.length) * 100) });
+      }
+
+      await ffmpeg.run(
+        [
+          '-ss',
+          String(chapter.startTime),
+          '-to',
+          String(chapter.endTime),
+          '-i',
+          parent.filePath,
+          '-map',
+          '0',
+          '-map_metadata',
+          '-1',
+          '-map_chapters',
+          '-1',
+          '-c',
+          'copy',
+          filePath
+        ],
+        { signal }
+      );
+
+      let audioTags;
+      if (isAudio) {
+        audioTags = tagger.buildTags(info, {
+          ...params.tags,
+          title: chapter.title,
+          album: (params.tags && params.tags.album) || info.title,
+          trackNumber,
+          trackTotal: chapters.length
+        });
+        try {
+          await tagger.writeTags(filePath, ext, audioTags, { coverPath, signal });
+        } catch (err) {
+          console.warn(`⚠️ Tagging failed for ${fileName}:`, err.stderr || err.message);
+          audioTags = undefined;
+        }
+      }
+
+      let trackLoudness;
+      if (parent.loudness && parent.loudness.mode === 'replaygain') {
+        trackLoudness = await loudness.processLoudness(filePath, ext, params.loudness, {
+          album: parent.loudness,
+          signal
+        });
+      } else if (parent.loudness) {
+        trackLoudness = parent.loudness.toObject();
+      }
+
+      const inherited = Object.fromEntries(INHERITED_FIELDS.map((field) => [field, parent[field]]));
+      created.push(
+        await Download.create({
+          ...inherited,
+          title: chapter.title || `${parent.title} (${trackNumber})`,
+          fileName,
+          filePath,
+          fileSize: fs.statSync(filePath).size,
+          duration: chapter.endTime - chapter.startTime,
+          parent: parent._id,
+          trackNumber,
+          chapter: { title: chapter.title, startTime: chapter.startTime, endTime: chapter.endTime },
+          audioTags,
+          coverArt: Boolean(audioTags && coverPath),
+          loudness: trackLoudness
+        })
+      );
+    }
+  } finally {
+    if (coverPath) fs.rmSync(coverPath, { force: true });
+  }
+
+  return created;
+}
+
+module.exports = { splitByChapters };
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+
+/**
+ * Clip ranges for POST /download: `start`/`end` for one range or `clips`
+ * for several, each as seconds or "[[h:]m:]s[.ms]" timestamps, plus optional
+ * `fadeIn`/`fadeOut` seconds applied to every clip.
+ */
+
+const MAX_CLIPS = 20;
+const MAX_FADE = 30;
+
+/**
+ * "1:02:03.5" / "90" / 90 -> seconds, or null when unparseable.
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return null;
+
+  const parts = value.trim().split(':');
+  const seconds = parseFloat(parts.pop());
+  const [hours = 0, minutes = 0] = parts.length === 2 ? parts.map(Number) : [0, ...parts.map(Number)];
+  if (parts.length && seconds >= 60) return null;
+  // Minutes only wrap in h:m:s; "75:00" alone is fine
+  if (parts.length === 2 && minutes >= 60) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Validates the clip part of a download request, pushing problems onto
+ * `errors`. Returns `{ clips, fadeIn, fadeOut }` or null when no clip was asked for.
+ */
+function parseClipOptions(body, errors) {
+  const { start, end, clips, fadeIn, fadeOut } = body;
+  const hasRange = start !== undefined || end !== undefined;
+
+  if (!hasRange && clips === undefined) {
+    if (fadeIn !== undefined || fadeOut !== undefined) errors.push('fadeIn and fadeOut need start/end or clips');
+    return null;
+  }
+  if (hasRange && clips !== undefined) {
+    errors.push('use either start/end or clips, not both');
+    return null;
+  }
+
+  const ranges = hasRange ? [{ start, end }] : clips;
+  if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_CLIPS) {
+    errors.push(`clips must be an array of 1 to ${MAX_CLIPS} {start, end} ranges`);
+    return null;
+  }
+
+  const parsed = [];
+  ranges.forEach((range, index) => {
+    const label = hasRange ? '' : `clips[${index}].`;
+    const from = range && range.start !== undefined ? parseTimestamp(range.start) : 0;
+    const to = range && range.end !== undefined ? parseTimestamp(range.end) : null;
+
+    if (from === null) errors.push(`${label}start must be seconds or a timestamp like 1:02:03`);
+    else if (range && range.end !== undefined && to === null) {
+      errors.push(`${label}end must be seconds or a timestamp like 1:02:03`);
+    } else if (to !== null && to <= from) errors.push(`${label}end must be after ${label}start`);
+    else parsed.push({ start: from, end: to });
+  });
+
+  const options = { clips: parsed };
+  [['fadeIn', fadeIn], ['fadeOut', fadeOut]].forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || value < 0 || value > MAX_FADE) {
+      errors.push(`${key} must be a number of seconds between 0 and ${MAX_FADE}`);
+    } else if (value > 0) {
+      options[key] = value;
+    }
+  });
+  return options;
+}
+
+/**
+ * Checks clips against the real duration once metadata is known; open or
+ * overlong ends are clamped. Throws when a clip starts past the end.
+ */
+function resolveClips(clips, duration) {
+  return clips.map(({ start, end }) => {
+    if (duration && start >= duration) {
+      throw new Error(`Clip start ${start}s is past the end of the media (${duration}s)`);
+    }
+    const clampedEnd = end === null || end === undefined || (duration && end > duration) ? duration : end;
+    if (!clampedEnd) throw new Error('Clip end is required when the media duration is unknown');
+    return { start, end: clampedEnd };
+  });
+}
+
+// yt-dlp --download-sections value
+const sectionArg = ({ start, end }) => `*${start}-${end}`;
+
+/**
+ * Re-encodes a clip in place with fade-in/fade-out on audio (and video).
+ */
+async function applyFades(filePath, ext, { fadeIn, fadeOut, duration, hasVideo }, { signal } = {}) {
+  const fades = (filter) =>
+    [
+      fadeIn ? `${filter}=t=in:st=0:d=${fadeIn}` : null,
+      fadeOut ? `${filter}=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}` : null
+    ]
+      .filter(Boolean)
+      .join(',');
+
+  const tmpPath = path.join(path.dirname(filePath), `.fading-${path.basename(filePath)}`);
+  const args = ['-i', filePath, '-af', fades('afade'), ...ffmpeg.AUDIO_ENCODERS[ext]];
+  if (hasVideo) args.push('-vf', fades('fade'), ...ffmpeg.VIDEO_ENCODERS[ext]);
+  args.push('-f', ffmpeg.muxerFor(ext), tmpPath);
+
+  try {
+    await ffmpeg.run(args, { signal });
+    fs.renameSync(tmpPath, filePath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+module.exports = { parseTimestamp, parseClipOptions, resolveClips, sectionArg, applyFades };
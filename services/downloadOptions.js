@@ -0,0 +1,236 @@
+const { ValidationError } = require('../errors');
+const { parseClipOptions } = require('./clips');
+const { parseLoudnessOptions } = require('./loudness');
+
+/**
+ * Schema for the output options accepted by POST /download and the yt-dlp
+ * arguments they translate to.
+ *
+ *   audio: { format, bitrate (kbit/s) | quality (VBR 0 best - 10 worst), sampleRate }
+ *   video: { maxHeight, codec, maxFps, container }
+ *   tags:  { title, artist, album, ... } overrides for audio tagging
+ *   coverArt: false to skip embedding the thumbnail
+ *   splitChapters: true to also save one track per chapter
+ *   start/end | clips, fadeIn, fadeOut: sections to download (see services/clips)
+ *   loudness: { mode: normalize | replaygain, target, truePeak, range } (audio only)
+ */
+
+// Requested audio format -> yt-dlp --audio-format name and resulting extension
+const AUDIO_FORMATS = {
+  mp3: { codec: 'mp3', ext: 'mp3', sampleRates: [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000] },
+  m4a: { codec: 'm4a', ext: 'm4a', sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000] },
+  opus: { codec: 'opus', ext: 'opus', sampleRates: [8000, 12000, 16000, 24000, 48000] },
+  ogg: { codec: 'vorbis', ext: 'ogg', sampleRates: [8000, 16000, 22050, 32000, 44100, 48000] },
+  flac: { codec: 'flac', ext: 'flac', lossless: true, sampleRates: [8000, 16000, 22050, 32000, 44100, 48000, 96000] },
+  wav: { codec: 'wav', ext: 'wav', lossless: true, sampleRates: [8000, 16000, 22050, 32000, 44100, 48000, 96000] }
+};
+
+// Requested video codec -> yt-dlp format filter
+const VIDEO_CODECS = {
+  h264: "[vcodec^=avc1]",
+  vp9: "[vcodec~='^vp0?9']",
+  av1: "[vcodec^=av01]"
+};
+
+// Containers and the codecs they can hold without re-encoding
+const CONTAINERS = {
+  mp4: { codecs: ['h264', 'av1'], audio: '[ext=m4a]' },
+  webm: { codecs: ['vp9', 'av1'], audio: '[ext=webm]' },
+  mkv: { codecs: ['h264', 'vp9', 'av1'], audio: '' }
+};
+
+const FORMAT_ID = /^[\w.-]+(\+[\w.-]+)*$/;
+
+const TAG_NUMBERS = ['trackNumber', 'trackTotal', 'year'];
+const TAG_STRINGS = ['title', 'artist', 'album', 'albumArtist', 'genre', 'comment'];
+
+const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+function checkKeys(object, allowed, prefix, errors) {
+  Object.keys(object).forEach((key) => {
+    if (!allowed.includes(key)) errors.push(`${prefix}.${key} is not a supported option`);
+  });
+}
+
+function parseAudio(audio = {}, errors) {
+  checkKeys(audio, ['format', 'bitrate', 'quality', 'sampleRate'], 'audio', errors);
+
+  const options = { format: audio.format || 'mp3' };
+  const spec = AUDIO_FORMATS[options.format];
+  if (!spec) {
+    errors.push(`audio.format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+    return options;
+  }
+
+  if (audio.bitrate !== undefined && audio.quality !== undefined) {
+    errors.push('audio.bitrate and audio.quality are mutually exclusive');
+  }
+  if (audio.bitrate !== undefined) {
+    if (spec.lossless) errors.push(`audio.bitrate does not apply to lossless ${options.format}`);
+    else if (!isInt(audio.bitrate, 32, 512)) errors.push('audio.bitrate must be an integer between 32 and 512 (kbit/s)');
+    else options.bitrate = audio.bitrate;
+  }
+  if (audio.quality !== undefined) {
+    if (spec.lossless) errors.push(`audio.quality does not apply to lossless ${options.format}`);
+    else if (!isInt(audio.quality, 0, 10)) errors.push('audio.quality must be an integer between 0 (best) and 10');
+    else options.quality = audio.quality;
+  }
+  if (audio.sampleRate !== undefined) {
+    if (!spec.sampleRates.includes(audio.sampleRate)) {
+      errors.push(`audio.sampleRate for ${options.format} must be one of: ${spec.sampleRates.join(', ')}`);
+    } else {
+      options.sampleRate = audio.sampleRate;
+    }
+  }
+
+  return options;
+}
+
+function parseVideo(video = {}, errors) {
+  checkKeys(video, ['maxHeight', 'codec', 'maxFps', 'container'], 'video', errors);
+
+  const options = { container: video.container || 'mp4' };
+  const container = CONTAINERS[options.container];
+  if (!container) {
+    errors.push(`video.container must be one of: ${Object.keys(CONTAINERS).join(', ')}`);
+    return options;
+  }
+
+  if (video.codec !== undefined) {
+    if (!VIDEO_CODECS[video.codec]) {
+      errors.push(`video.codec must be one of: ${Object.keys(VIDEO_CODECS).join(', ')}`);
+    } else if (!container.codecs.includes(video.codec)) {
+      errors.push(`video.codec ${video.codec} cannot be stored in ${options.container}`);
+    } else {
+      options.codec = video.codec;
+    }
+  }
+  if (video.maxHeight !== undefined) {
+    if (!isInt(video.maxHeight, 144, 4320)) errors.push('video.maxHeight must be an integer between 144 and 4320');
+    else options.maxHeight = video.maxHeight;
+  }
+  if (video.maxFps !== undefined) {
+    if (!isInt(video.maxFps, 1, 120)) errors.push('video.maxFps must be an integer between 1 and 120');
+    else options.maxFps = video.maxFps;
+  }
+
+  return options;
+}
+
+function parseTags(tags, errors) {
+  checkKeys(tags, [...TAG_STRINGS, ...TAG_NUMBERS], 'tags', errors);
+
+  const overrides = {};
+  TAG_STRINGS.forEach((key) => {
+    if (tags[key] === undefined) return;
+    if (typeof tags[key] !== 'string' || tags[key].length > 1000) {
+      errors.push(`tags.${key} must be a string of up to 1000 characters`);
+    } else {
+      overrides[key] = tags[key];
+    }
+  });
+  TAG_NUMBERS.forEach((key) => {
+    if (tags[key] === undefined) return;
+    if (!isInt(tags[key], key === 'year' ? 1000 : 1, 9999)) errors.push(`tags.${key} must be a positive integer`);
+    else overrides[key] = tags[key];
+  });
+  return overrides;
+}
+
+// Set but not a plain object
+const isInvalidObject = (value) =>
+  value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value));
+
+/**
+ * Validates the format part of a download request. Returns `{ type,
+ * formatId, audio | video, tags, coverArt, splitChapters, clips, fadeIn,
+ * fadeOut, loudness }` or throws a ValidationError.
+ */
+function parseDownloadOptions(body) {
+  const errors = [];
+  const { type, formatId, audio, video, tags, coverArt, splitChapters, loudness } = body;
+
+  if (!['audio', 'video'].includes(type)) errors.push('type must be audio or video');
+  if (formatId !== undefined && (typeof formatId !== 'string' || !FORMAT_ID.test(formatId))) {
+    errors.push('formatId must be a format id from /inspect');
+  }
+  if (isInvalidObject(audio)) errors.push('audio must be an object');
+  if (isInvalidObject(video)) errors.push('video must be an object');
+  if (isInvalidObject(tags)) errors.push('tags must be an object');
+  if (coverArt !== undefined && typeof coverArt !== 'boolean') errors.push('coverArt must be a boolean');
+  if (splitChapters !== undefined && typeof splitChapters !== 'boolean') {
+    errors.push('splitChapters must be a boolean');
+  }
+  if (type === 'video' && (tags !== undefined || coverArt !== undefined || loudness !== undefined)) {
+    errors.push('tags, coverArt and loudness only apply to audio downloads');
+  }
+  if (type === 'audio' && video !== undefined) errors.push('video options cannot be used with type audio');
+  if (type === 'video' && audio !== undefined) errors.push('audio options cannot be used with type video');
+  if (type === 'video' && formatId && video !== undefined) {
+    errors.push('formatId already picks the video stream; drop the video options');
+  }
+  if (errors.length) throw new ValidationError('Invalid download options', errors);
+
+  const options = { type };
+  if (formatId) options.formatId = formatId;
+  if (splitChapters) options.splitChapters = true;
+
+  const clipOptions = parseClipOptions(body, errors);
+  if (clipOptions) {
+    if (splitChapters) errors.push('splitChapters cannot be combined with clips');
+    Object.assign(options, clipOptions);
+  }
+  if (type === 'audio') {
+    options.audio = parseAudio(audio, errors);
+    if (tags) options.tags = parseTags(tags, errors);
+    if (coverArt !== undefined) options.coverArt = coverArt;
+    if (loudness !== undefined) options.loudness = parseLoudnessOptions(loudness, errors);
+  } else {
+    options.video = parseVideo(video, errors);
+  }
+
+  if (errors.length) throw new ValidationError('Invalid download options', errors);
+  return options;
+}
+
+function videoSelector({ codec, maxHeight, maxFps, container }) {
+  const filters =
+    (maxHeight ? `[height<=${maxHeight}]` : '') +
+    (maxFps ? `[fps<=${maxFps}]` : '') +
+    (codec ? VIDEO_CODECS[codec] : '');
+  const preferredAudio = CONTAINERS[container].audio;
+
+  const choices = [`bv*${filters}+ba${preferredAudio}`, `bv*${filters}+ba`, `b${filters}`];
+  return [...new Set(choices)].join('/');
+}
+
+/**
+ * yt-dlp arguments for validated options, plus the extension of the file
+ * they produce.
+ */
+function buildFormatArgs({ type, formatId, audio, video }) {
+  if (type === 'audio') {
+    const spec = AUDIO_FORMATS[audio.format];
+    const args = ['-f', formatId || 'bestaudio/best', '-x', '--audio-format', spec.codec];
+
+    if (audio.bitrate) args.push('--audio-quality', `${audio.bitrate}K`);
+    else if (audio.quality !== undefined) args.push('--audio-quality', String(audio.quality));
+    if (audio.sampleRate) args.push('--postprocessor-args', `ExtractAudio:-ar ${audio.sampleRate}`);
+
+    return { args, ext: spec.ext };
+  }
+
+  return {
+    args: [
+      '-f',
+      formatId || videoSelector(video),
+      '--merge-output-format',
+      video.container,
+      '--remux-video',
+      video.container
+    ],
+    ext: video.container
+  };
+}
+
+module.exports = { parseDownloadOptions, parseTags, buildFormatArgs, AUDIO_FORMATS, CONTAINERS };
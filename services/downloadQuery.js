@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Download = require('../models/Download');
+const { ValidationError } = require('../errors');
+
+/**
+ * Turns GET /downloads query parameters into a Mongo query with cursor
+ * pagination.
+ *
+ *   q                        full-text search over title/uploader/description/tags
+ *   fileType, uploader, extractor
+ *   tags=a,b                 items carrying all of the tags
+ *   from, to                 downloadDate range (ISO dates)
+ *   minDuration, maxDuration seconds
+ *   minSize, maxSize         bytes
+ *   sort=-downloadDate       field, "-" for descending; relevance first with q
+ *   fields=title,duration    projection
+ *   limit, cursor            page size and the nextCursor of the previous page
+ */
+
+const SORT_FIELDS = ['downloadDate', 'title', 'duration', 'fileSize', 'uploadDate', 'viewCount'];
+const DATE_FIELDS = ['downloadDate', 'uploadDate'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+function decodeCursor(cursor, errors) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    errors.push('cursor is invalid');
+    return null;
+  }
+}
+
+function parseNumber(query, key, errors) {
+  if (query[key] === undefined) return undefined;
+  const value = Number(query[key]);
+  if (query[key] === '' || Number.isNaN(value) || value < 0) {
+    errors.push(`${key} must be a non-negative number`);
+    return undefined;
+  }
+  return value;
+}
+
+function parseDate(query, key, errors) {
+  if (query[key] === undefined) return undefined;
+  const value = new Date(query[key]);
+  if (Number.isNaN(value.getTime())) {
+    errors.push(`${key} must be a date`);
+    return undefined;
+  }
+  return value;
+}
+
+function addRange(filter, field, min, max) {
+  if (min === undefined && max === undefined) return;
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+}
+
+// Keyset condition for "after (value, id)" in the given direction.
+// Missing values sort lowest in Mongo, so they come last when descending.
+function afterCursor(field, direction, value, id) {
+  const objectId = new mongoose.Types.ObjectId(id);
+  const cmp = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: objectId } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: objectId } };
+  }
+
+  const conditions = [{ [field]: { [cmp]: value } }, { [field]: value, _id: { [cmp]: objectId } }];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+/**
+ * Returns `{ filter, sort, projection, limit, textSearch, sortField,
+ * cursorFor(doc) }` or throws a ValidationError.
+ */
+function parseDownloadQuery(query) {
+  const errors = [];
+  const filter = {};
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (query.fileType !== undefined) {
+    if (!['audio', 'video'].includes(query.fileType)) errors.push('fileType must be audio or video');
+    else filter.fileType = query.fileType;
+  }
+  ['uploader', 'extractor'].forEach((key) => {
+    if (query[key]) filter[key] = new RegExp(`^${escapeRegex(String(query[key]))}$`, 'i');
+  });
+  if (query.tags) {
+    filter.tags = { $all: String(query.tags).split(',').map((tag) => tag.trim()).filter(Boolean) };
+  }
+
+  addRange(filter, 'downloadDate', parseDate(query, 'from', errors), parseDate(query, 'to', errors));
+  addRange(
+    filter,
+    'duration',
+    parseNumber(query, 'minDuration', errors),
+    parseNumber(query, 'maxDuration', errors)
+  );
+  addRange(filter, 'fileSize', parseNumber(query, 'minSize', errors), parseNumber(query, 'maxSize', errors));
+
+  const textSearch = Boolean(query.q && String(query.q).trim());
+  if (textSearch) filter.$text = { $search: String(query.q).trim() };
+
+  const sortParam = query.sort || (textSearch ? 'relevance' : '-downloadDate');
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const sortField = sortParam.replace(/^-/, '');
+  if (sortField === 'relevance' && !textSearch) errors.push('sort=relevance needs q');
+  else if (sortField !== 'relevance' && !SORT_FIELDS.includes(sortField)) {
+    errors.push(`sort must be one of: relevance, ${SORT_FIELDS.join(', ')} (prefix - for descending)`);
+  }
+
+  let projection;
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map((field) => field.trim()).filter(Boolean);
+    const invalid = fields.filter((field) => !Download.schema.path(field));
+    if (invalid.length) errors.push(`unknown fields: ${invalid.join(', ')}`);
+    // The sort key has to come back to build the next cursor
+    projection = Object.fromEntries(fields.map((field) => [field, 1]));
+    if (sortField !== 'relevance') projection[sortField] = 1;
+  }
+  if (textSearch) projection = { ...projection, score: { $meta: 'textScore' } };
+
+  const cursor = query.cursor ? decodeCursor(String(query.cursor), errors) : null;
+
+  if (errors.length) throw new ValidationError('Invalid query', errors);
+
+  // Relevance can't be expressed as a range condition, so text search pages by offset
+  let skip = 0;
+  let sort;
+  if (sortField === 'relevance') {
+    sort = { score: { $meta: 'textScore' }, _id: -1 };
+    skip = cursor && Number.isInteger(cursor.o) ? cursor.o : 0;
+  } else {
+    sort = { [sortField]: direction, _id: direction };
+    if (cursor) {
+      if (!cursor.id || !mongoose.isValidObjectId(cursor.id)) {
+        throw new ValidationError('Invalid query', ['cursor is invalid']);
+      }
+      // Records without the field sort as null and page as null, not as 1970
+      const value = cursor.d && cursor.v !== null && cursor.v !== undefined ? new Date(cursor.v) : cursor.v;
+      if (value instanceof Date && Number.isNaN(value.getTime())) {
+        throw new ValidationError('Invalid query', ['cursor is invalid']);
+      }
+      const condition = afterCursor(sortField, direction, value ?? null, cursor.id);
+      filter.$and = [...(filter.$and || []), condition];
+    }
+  }
+
+  const cursorFor = (doc, index) => {
+    if (sortField === 'relevance') return encodeCursor({ o: skip + index + 1 });
+    const value = doc[sortField] ?? null;
+    return encodeCursor({ v: value, id: String(doc._id), d: DATE_FIELDS.includes(sortField) || undefined });
+  };
+
+  return { filter, sort, projection, skip, limit, textSearch, cursorFor };
+}
+
+module.exports = { parseDownloadQuery, escapeRegex };
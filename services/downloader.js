@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const Download = require('../models/Download');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const ytdlp = require('./ytdlp');
+const metadata = require('./metadata');
+const ffmpeg = require('./ffmpeg');
+const tagger = require('./tagger');
+const { splitByChapters } = require('./chapters');
+const loudness = require('./loudness');
+const hls = require('./hls');
+const quotas = require('./quotas');
+const library = require('./library');
+const storage = require('./storage');
+const duplicates = require('./duplicates');
+const auth = require('./auth');
+const { resolveClips, sectionArg, applyFades } = require('./clips');
+const { buildFormatArgs } = require('./downloadOptions');
+const { PROGRESS_ARGS, parseLine } = require('./progress');
+const { QuotaError } = require('../errors');
+
+// Wraps runner errors into the shape jobs record
+const toJobError = (error, fallback) => {
+  console.error('yt-dlp error:', error.stderr || error.message);
+  const err = new Error(error.message || fallback);
+  err.code = error.code;
+  err.details = error.stderr;
+  return err;
+};
+
+/**
+ * Downloads one file (the whole media, or one clip of it) from the info JSON
+ * at `infoPath`, post-processes it and saves its Download record.
+ */
+async function fetchFile(
+  {
+    url,
+    info,
+    infoPath,
+    params,
+    basename,
+    clip,
+    owner,
+    subscription,
+    resumed,
+    maxFilesize = config.YTDLP_MAX_FILESIZE
+  },
+  { onProgress, signal }
+) {
+  const { args: formatArgs, ext } = buildFormatArgs(params);
+  const filename = `${basename}.${ext}`;
+  const filepath = path.join(config.DOWNLOAD_DIR, filename);
+
+  // A resumed job keeps the clips it finished before it was paused
+  if (resumed) {
+    const finished = await Download.findOne({ fileName: filename });
+    if (finished) return finished;
+  }
+
+  const args = [
+    ...PROGRESS_ARGS,
+    '--max-filesize',
+    maxFilesize,
+    ...formatArgs,
+    '-o',
+    // yt-dlp picks the intermediate extension; post-processing lands on `ext`
+    path.join(config.DOWNLOAD_DIR, `${basename}.%(ext)s`),
+    '--load-info-json',
+    infoPath
+  ];
+  // Only fetch the requested range, re-encoding around the cuts so they are exact
+  if (clip) args.push('--download-sections', sectionArg(clip), '--force-keyframes-at-cuts');
+
+  try {
+    await ytdlp.run(args, {
+      capture: false,
+      signal,
+      onLine: (line) => {
+        const progress = parseLine(line);
+        if (progress && onProgress) onProgress(progress);
+      }
+    });
+  } catch (error) {
+    throw toJobError(error, 'Download failed');
+  }
+
+  // yt-dlp exits 0 when --max-filesize skips the file
+  if (!fs.existsSync(filepath)) {
+    if (maxFilesize !== config.YTDLP_MAX_FILESIZE) {
+      throw new QuotaError(413, 'QUOTA_FILE_SIZE', 'File is larger than your quota allows', {
+        limit: Number(maxFilesize)
+      });
+    }
+    const err = new Error(`File is larger than the ${config.YTDLP_MAX_FILESIZE} limit`);
+    err.code = ytdlp.ERROR_CODES.OUTPUT_LIMIT;
+    throw err;
+  }
+
+  const duration = clip ? clip.end - clip.start : info.duration;
+
+  if (clip && (params.fadeIn || params.fadeOut)) {
+    if (onProgress) onProgress({ phase: 'post-processing' });
+    try {
+      await applyFades(
+        filepath,
+        ext,
+        { fadeIn: params.fadeIn, fadeOut: params.fadeOut, duration, hasVideo: params.type === 'video' },
+        { signal }
+      );
+    } catch (err) {
+      console.error('Fade error:', err.stderr || err.message);
+      const fadeErr = new Error(`Applying fades failed: ${err.message}`);
+      fadeErr.details = err.stderr;
+      throw fadeErr;
+    }
+  }
+
+  let tagged = null;
+  if (params.type === 'audio') {
+    if (onProgress) onProgress({ phase: 'tagging' });
+    tagged = await tagger.tagDownload(filepath, ext, info, {
+      overrides: params.tags,
+      coverArt: params.coverArt !== false,
+      signal
+    });
+  }
+
+  let loudnessRecord;
+  if (params.loudness && params.loudness.mode) {
+    if (onProgress) onProgress({ phase: 'measuring loudness' });
+    try {
+      const { sampleRate } = await ffmpeg.probe(filepath).catch(() => ({}));
+      loudnessRecord = await loudness.processLoudness(filepath, ext, params.loudness, {
+        sampleRate: params.audio.sampleRate || sampleRate,
+        signal
+      });
+    } catch (err) {
+      console.error('Loudness error:', err.stderr || err.message);
+      const loudnessErr = new Error(`Loudness processing failed: ${err.message}`);
+      loudnessErr.details = err.stderr;
+      throw loudnessErr;
+    }
+  }
+
+  const stats = fs.statSync(filepath);
+
+  // Record what was really produced; a missing ffprobe shouldn't fail the job
+  let probed = {};
+  try {
+    probed = await ffmpeg.probe(filepath);
+  } catch (err) {
+    console.warn(`⚠️ Could not probe ${filename}:`, err.message);
+  }
+
+  const source = metadata.fromInfo(info);
+  // Chapters of the full media don't line up with a clip
+  if (clip) source.chapters = [];
+
+  try {
+    return await Download.create({
+      ...source,
+      title: info.title || filename,
+      url,
+      owner,
+      subscription,
+      fileName: filename,
+      fileType: params.type,
+      filePath: filepath,
+      fileSize: stats.size,
+      ...probed,
+      duration: duration || probed.duration,
+      container: ext,
+      audioTags: tagged ? tagged.tags : undefined,
+      coverArt: tagged ? tagged.coverArt : undefined,
+      loudness: loudnessRecord,
+      variant: duplicates.variantOf(params),
+      clip: clip ? { ...clip, fadeIn: params.fadeIn, fadeOut: params.fadeOut } : undefined
+    });
+  } catch (dbErr) {
+    console.error('DB save error:', dbErr);
+    throw new Error('File saved but DB insert failed');
+  }
+}
+
+/**
+ * Extracts metadata, runs yt-dlp for a queued job and records the resulting
+ * file(s). Resolves with the job result, rejects with an Error carrying
+ * `code` and `details`. `onProgress` receives every parsed progress event
+ * (see services/progress).
+ */
+async function runDownloadJob(job, { onProgress, signal } = {}) {
+  const { params } = job.toObject();
+  const url = ytdlp.normalizeUrl(params.url);
+  // Kept on the job so a resumed or retried run continues yt-dlp's .part
+  // files; named after the job so jobs started together never share files
+  const resumed = Boolean(job.outputBase);
+  const basename = job.outputBase || `video_${job._id}`;
+  if (!resumed) {
+    job.outputBase = basename;
+    await Job.updateOne({ _id: job._id }, { outputBase: basename });
+  }
+  const infoPath = path.join(config.DOWNLOAD_DIR, `${basename}.info.json`);
+
+  if (onProgress) onProgress({ phase: 'extracting info' });
+  let info;
+  try {
+    info = await ytdlp.extractInfo(url, { signal });
+  } catch (error) {
+    throw toJobError(error, 'Metadata extraction failed');
+  }
+
+  if (params.dateAfter && info.upload_date && info.upload_date < params.dateAfter) {
+    return { skipped: true, reason: `Uploaded ${info.upload_date}, before ${params.dateAfter}` };
+  }
+
+  // Not every URL names its video (and batch items skip the /download
+  // check), so the extracted id is checked against the library too. A
+  // resumed run already passed it and would only find its own files.
+  if (!params.force && !resumed) {
+    const owner = job.owner && (await User.findById(job.owner));
+    const source = { extractor: info.extractor_key || info.extractor, id: info.id };
+    const [existing] = await duplicates.findExisting(source, params, owner ? auth.visibleFilter(owner) : {});
+    if (existing) {
+      return {
+        skipped: true,
+        duplicate: true,
+        reason: 'Already in the library',
+        download: existing._id,
+        link: library.fileLink(existing)
+      };
+    }
+  }
+
+  const clips = params.clips && params.clips.length ? resolveClips(params.clips, info.duration) : [];
+
+  // Quota preflight from the metadata; clips only count their own length
+  const quota = await quotas.forJob(job);
+  const duration = clips.length ? clips.reduce((sum, clip) => sum + (clip.end - clip.start), 0) : info.duration;
+  const fullSize = info.filesize || info.filesize_approx;
+  quotas.checkPreflight(quota, {
+    duration,
+    estimatedBytes: fullSize && info.duration ? Math.round((fullSize * duration) / info.duration) : null
+  });
+
+  // Reuse the extracted info for the download instead of fetching it twice
+  fs.writeFileSync(infoPath, JSON.stringify(info));
+
+  const file = {
+    url,
+    info,
+    infoPath,
+    params,
+    resumed,
+    owner: job.owner,
+    subscription: job.subscription,
+    maxFilesize: quotas.maxFilesize(quota)
+  };
+  const downloads = [];
+  try {
+    if (clips.length === 0) {
+      downloads.push(await fetchFile({ ...file, basename }, { onProgress, signal }));
+    }
+    for (const [index, clip] of clips.entries()) {
+      const clipName = clips.length > 1 ? `${basename}_clip${index + 1}` : basename;
+      downloads.push(await fetchFile({ ...file, basename: clipName, clip }, { onProgress, signal }));
+    }
+  } finally {
+    fs.rmSync(infoPath, { force: true });
+  }
+
+  const [newDownload] = downloads;
+
+  let tracks = [];
+  if (params.splitChapters) {
+    if (newDownload.chapters.length > 1) {
+      // A resumed run splits again from track 1; drop what the interrupted one saved
+      if (resumed) {
+        const stale = await Download.find({ parent: newDownload._id });
+        for (const track of stale) await library.deleteDownload(track);
+      }
+      try {
+        tracks = await splitByChapters(newDownload, info, params, { signal, onProgress });
+      } catch (err) {
+        console.error('Chapter split error:', err.stderr || err.message);
+        const splitErr = new Error(`Downloaded, but splitting chapters failed: ${err.message}`);
+        splitErr.details = err.stderr;
+        throw splitErr;
+      }
+    } else {
+      console.log(`ℹ️ ${newDownload.fileName} has no chapters to split`);
+    }
+  }
+
+  // Real sizes decide; files that break the quota are removed again
+  try {
+    quotas.checkStored(quota, [...downloads, ...tracks].map((download) => download.fileSize || 0));
+  } catch (err) {
+    for (const download of [...tracks, ...downloads]) {
+      await library.deleteDownload(download).catch((delErr) => console.error('Quota cleanup error:', delErr.message));
+    }
+    throw err;
+  }
+
+  // Hand the files to the configured storage; until then they stay local and servable
+  if (onProgress) onProgress({ phase: 'storing' });
+  for (const download of [...downloads, ...tracks]) {
+    try {
+      await storage.persist(download);
+    } catch (err) {
+      console.error(`Storage error for ${download.fileName}:`, err.message);
+      throw new Error(`Downloaded, but storing the file failed: ${err.message}`);
+    }
+  }
+
+  if (config.HLS_AUTO) {
+    // Packaging is a follow-up job; the download itself already succeeded
+    for (const download of downloads) {
+      await hls.enqueuePackaging(download, job.owner).catch((err) => console.error('HLS enqueue error:', err.message));
+    }
+  }
+
+  return {
+    download: newDownload._id,
+    link: `${config.PUBLIC_URL}/downloads/${newDownload.fileName}`,
+    clips: clips.length ? downloads.map((download) => download._id) : [],
+    tracks: tracks.map((track) => track._id)
+  };
+}
+
+/**
+ * Removes what a cancelled download job left in DOWNLOAD_DIR: .part and
+ * fragment files, half-processed outputs and its info JSON. Files that made
+ * it into the library are kept.
+ */
+async function removePartials(job) {
+  if (!job.outputBase) return;
+  const prefixes = [`${job.outputBase}.`, `${job.outputBase}_clip`];
+  const names = await fs.promises.readdir(config.DOWNLOAD_DIR).catch(() => []);
+  const candidates = names.filter((name) => prefixes.some((prefix) => name.startsWith(prefix)));
+  if (!candidates.length) return;
+
+  const kept = await Download.find({ fileName: { $in: candidates } }).distinct('fileName');
+  const removed = candidates.filter((name) => !kept.includes(name));
+  await Promise.all(
+    removed.map((name) => fs.promises.rm(path.join(config.DOWNLOAD_DIR, name), { force: true, recursive: true }))
+  );
+  if (removed.length) console.log(`🧹 Removed ${removed.length} partial file(s) of job ${job._id}`);
+}
+
+module.exports = { runDownloadJob, removePartials };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Download = require('../models/Download');
+const Job = require('../models/Job');
+
+/**
+ * Duplicate detection. A download is identified by its source (yt-dlp
+ * extractor + video id) and its variant (a hash of the options that shape
+ * the output file), so the same video asked for twice in the same format is
+ * answered from the library or coalesced onto the job already running.
+ */
+
+const YOUTUBE_HOSTS = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/;
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+// /shorts/<id>, /embed/<id>, /live/<id>, /v/<id>, /e/<id>
+const YOUTUBE_PATH_ID = /^\/(?:shorts|embed|live|v|e)\/([A-Za-z0-9_-]{11})(?:[/?]|$)/;
+const VIMEO_HOSTS = /(^|\.)vimeo\.com$/;
+const VIMEO_PATH_ID = /^\/(?:video\/|channels\/[^/]+\/|groups\/[^/]+\/videos\/)?(\d+)(?:\/|$)/;
+
+// Request options that don't change the file produced
+const IGNORED_PARAMS = ['url', 'force', 'dateAfter'];
+
+// How many groups GET /duplicates returns at most
+const MAX_REPORT_GROUPS = 500;
+
+/**
+ * `{ extractor, id, url }` for URLs that name a single video, where `url`
+ * is the canonical form to download from; null when only yt-dlp can tell.
+ * Extractor names match yt-dlp's extractor_key, which is what Download
+ * records store.
+ */
+function sourceFromUrl(url) {
+  const { hostname, pathname, searchParams } = new URL(url);
+
+  if (hostname === 'youtu.be') {
+    const id = pathname.slice(1).split('/')[0];
+    return YOUTUBE_ID.test(id) ? youtube(id) : null;
+  }
+  if (YOUTUBE_HOSTS.test(hostname)) {
+    if (pathname === '/watch' && YOUTUBE_ID.test(searchParams.get('v') || '')) return youtube(searchParams.get('v'));
+    const match = YOUTUBE_PATH_ID.exec(pathname);
+    return match ? youtube(match[1]) : null;
+  }
+  if (VIMEO_HOSTS.test(hostname)) {
+    const match = VIMEO_PATH_ID.exec(pathname);
+    // Unlisted videos need the hash in the path, so the URL is kept as given
+    return match ? { extractor: 'Vimeo', id: match[1], url } : null;
+  }
+  return null;
+}
+
+// m., music., nocookie embeds, youtu.be and &t=/&si= all end up as one watch URL
+const youtube = (id) => ({ extractor: 'Youtube', id, url: `https://www.youtube.com/watch?v=${id}` });
+
+// Sorted keys, no empty values: the same options always serialize the same way
+function canonical(value) {
+  if (Array.isArray(value)) return value.length ? value.map(canonical) : undefined;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => [key, canonical(value[key])])
+      .filter(([, item]) => item !== undefined);
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Hash of the output-shaping download options (type, formats, tags, clips...).
+ */
+function variantOf(params) {
+  const relevant = { ...params };
+  IGNORED_PARAMS.forEach((key) => delete relevant[key]);
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(canonical(relevant) || {}))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Key shared by jobs that would produce the same file.
+ */
+const dedupeKey = (source, params) => `${source.extractor}:${source.id}:${variantOf(params)}`;
+
+/**
+ * Library records of `source` in the variant `params` asks for, among those
+ * the `visible` filter allows, oldest first (several when clips were
+ * requested). Records from before variants were stored match on file type,
+ * unless clips were requested.
+ */
+async function findExisting(source, params, visible = {}) {
+  const sameVariant = [{ variant: variantOf(params) }];
+  if (!params.clips || !params.clips.length) {
+    sameVariant.push({ variant: null, fileType: params.type, clip: null });
+  }
+  return Download.find({
+    $and: [{ extractor: source.extractor, sourceId: source.id, parent: null, $or: sameVariant }, visible]
+  }).sort({ downloadDate: 1 });
+}
+
+// Lookups and enqueues for the same key run one at a time, so two requests
+// arriving together can't both miss the other's job
+const locks = new Map();
+
+function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  const tail = current.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return current;
+}
+
+/**
+ * Returns `{ job, coalesced: true }` for a queued or running job of
+ * `owner` with the same key, otherwise calls `enqueue()` and returns
+ * `{ job, coalesced: false }`.
+ */
+function coalesce(key, owner, enqueue) {
+  return withLock(key, async () => {
+    const running = await Job.findOne({ dedupeKey: key, owner, status: { $in: ['queued', 'running'] } });
+    if (running) return { job: running, coalesced: true };
+    return { job: await enqueue(), coalesced: false };
+  });
+}
+
+/**
+ * Historical duplicates: downloads of the same source, file type and
+ * container, worst offenders (most bytes that could be freed) first.
+ * Chapter tracks and clips are left out since they are parts, not copies.
+ */
+async function report(visible = {}, { limit = 100 } = {}) {
+  const [result] = await Download.aggregate([
+    {
+      $match: {
+        $and: [
+          { sourceId: { $type: 'string' }, extractor: { $type: 'string' }, parent: null, clip: null },
+          visible
+        ]
+      }
+    },
+    { $sort: { downloadDate: 1 } },
+    {
+      $group: {
+        _id: { extractor: '$extractor', sourceId: '$sourceId', fileType: '$fileType', container: '$container' },
+        count: { $sum: 1 },
+        totalBytes: { $sum: { $ifNull: ['$fileSize', 0] } },
+        items: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            fileName: '$fileName',
+            fileSize: '$fileSize',
+            owner: '$owner',
+            downloadDate: '$downloadDate'
+          }
+        }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    // Keeping the oldest copy frees everything else
+    {
+      $addFields: {
+        reclaimableBytes: {
+          $subtract: ['$totalBytes', { $ifNull: [{ $arrayElemAt: ['$items.fileSize', 0] }, 0] }]
+        }
+      }
+    },
+    {
+      $facet: {
+        groups: [{ $sort: { reclaimableBytes: -1, count: -1 } }, { $limit: Math.min(limit, MAX_REPORT_GROUPS) }],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              groups: { $sum: 1 },
+              duplicates: { $sum: { $subtract: ['$count', 1] } },
+              reclaimableBytes: { $sum: '$reclaimableBytes' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { groups: 0, duplicates: 0, reclaimableBytes: 0 };
+  return {
+    groups: totals.groups,
+    duplicates: totals.duplicates,
+    reclaimableBytes: totals.reclaimableBytes,
+    items: result.groups.map(({ _id, ...group }) => ({ ..._id, ...group }))
+  };
+}
+
+module.exports = {
+  MAX_REPORT_GROUPS,
+  sourceFromUrl,
+  variantOf,
+  dedupeKey,
+  findExisting,
+  coalesce,
+  report
+};
@@ -0,0 +1,116 @@
+const config = require('../config');
+
+/**
+ * Turns job and yt-dlp failures into stable error codes, and decides which
+ * ones are worth retrying (and when).
+ */
+
+const CODES = {
+  VIDEO_UNAVAILABLE: 'VIDEO_UNAVAILABLE',
+  PRIVATE_VIDEO: 'PRIVATE_VIDEO',
+  AGE_RESTRICTED: 'AGE_RESTRICTED',
+  GEO_BLOCKED: 'GEO_BLOCKED',
+  MEMBERS_ONLY: 'MEMBERS_ONLY',
+  LIVE_NOT_STARTED: 'LIVE_NOT_STARTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  FFMPEG_MISSING: 'FFMPEG_MISSING',
+  DISK_FULL: 'DISK_FULL'
+};
+
+const MESSAGES = {
+  VIDEO_UNAVAILABLE: 'The video is unavailable or has been removed',
+  PRIVATE_VIDEO: 'The video is private',
+  AGE_RESTRICTED: 'The video is age-restricted and needs a signed-in account',
+  GEO_BLOCKED: "The video is not available in the server's country",
+  MEMBERS_ONLY: 'The video is for channel members only',
+  LIVE_NOT_STARTED: 'The live stream or premiere has not started yet',
+  RATE_LIMITED: 'The site is rate-limiting this server',
+  NETWORK_ERROR: 'Network error while talking to the site',
+  FFMPEG_MISSING: 'ffmpeg is not installed on the server',
+  DISK_FULL: 'The server is out of disk space'
+};
+
+// Only these can go away by themselves
+const TRANSIENT = new Set([CODES.RATE_LIMITED, CODES.NETWORK_ERROR]);
+
+// First match wins: "Video unavailable. This video is private" is PRIVATE_VIDEO
+const PATTERNS = [
+  [CODES.DISK_FULL, /no space left on device|ENOSPC|disk quota exceeded|EDQUOT/i],
+  [CODES.FFMPEG_MISSING, /ffmpeg (is )?not (installed|found)|ffprobe and ffmpeg not found|spawn ff(mpeg|probe) ENOENT|Could not start ffmpeg/i],
+  [CODES.PRIVATE_VIDEO, /private video|video is private/i],
+  [CODES.MEMBERS_ONLY, /members[- ]only|join this channel to get access|available to this channel's members/i],
+  [CODES.AGE_RESTRICTED, /confirm your age|age[- ]restricted|inappropriate for some users/i],
+  [CODES.GEO_BLOCKED, /not (made this video )?available in your country|geo[- ]?restrict|blocked it in your country/i],
+  [CODES.LIVE_NOT_STARTED, /live event will begin|premieres in|this live event|scheduled to (start|begin)|stream has not started/i],
+  [CODES.RATE_LIMITED, /HTTP Error 429|too many requests|rate[- ]limit|confirm you.?re not a bot/i],
+  [CODES.VIDEO_UNAVAILABLE, /video unavailable|video is (no longer )?unavailable|has been removed|account .*terminated|does not exist|HTTP Error 404|no longer available/i],
+  [
+    CODES.NETWORK_ERROR,
+    /urlopen error|connection (reset|refused|aborted|timed out)|read timed out|temporary failure in name resolution|name or service not known|network is unreachable|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|IncompleteRead|HTTP Error 5\d\d/i
+  ]
+];
+
+// HTTP status when a classified failure is answered directly (e.g. /inspect)
+const STATUSES = {
+  VIDEO_UNAVAILABLE: 422,
+  PRIVATE_VIDEO: 422,
+  AGE_RESTRICTED: 422,
+  GEO_BLOCKED: 422,
+  MEMBERS_ONLY: 422,
+  LIVE_NOT_STARTED: 422,
+  RATE_LIMITED: 429,
+  FFMPEG_MISSING: 503,
+  DISK_FULL: 503
+};
+
+/**
+ * Code for a chunk of yt-dlp/ffmpeg output, or null. yt-dlp's ERROR lines
+ * are tried first so an earlier warning doesn't decide the class.
+ */
+function codeFromOutput(text) {
+  if (!text) return null;
+  const errorLines = text
+    .split('\n')
+    .filter((line) => line.startsWith('ERROR:'))
+    .join('\n');
+  for (const candidate of [errorLines, text]) {
+    const match = candidate && PATTERNS.find(([, pattern]) => pattern.test(candidate));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * `{ code, message, retryable }` for any error a job handler throws.
+ * Handlers wrap errors freely, so uncoded and generic FAILED errors are
+ * classified from their message and stderr; other codes (TIMEOUT,
+ * CANCELLED, quota codes...) are kept as they are.
+ */
+function classify(err) {
+  let code = CODES[err.code] || null;
+  if (err.code === 'ENOSPC' || err.code === 'EDQUOT') code = CODES.DISK_FULL;
+  if (!code && (!err.code || err.code === 'FAILED')) {
+    code = codeFromOutput([err.message, err.stderr, err.details].filter(Boolean).join('\n'));
+  }
+
+  return {
+    code: code || err.code || 'FAILED',
+    message: MESSAGES[code] || err.message,
+    retryable: TRANSIENT.has(code)
+  };
+}
+
+/**
+ * Delay before attempt `attempt + 1`: exponential from JOB_RETRY_BASE_MS,
+ * capped at JOB_RETRY_MAX_MS, with "equal jitter" (a random half on top of
+ * a fixed half) so retries from one outage don't all land together.
+ */
+function backoff(attempt) {
+  const ceiling = Math.min(config.JOB_RETRY_MAX_MS, config.JOB_RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+const httpStatus = (code) => STATUSES[code] || 502;
+
+module.exports = { CODES, classify, codeFromOutput, backoff, httpStatus };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * RSS 2.0 podcast feeds with iTunes and Podcasting 2.0 tags, built from
+ * library downloads.
+ */
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  opus: 'audio/ogg',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska'
+};
+
+// Namespace for podcast:guid (UUIDv5 of the feed URL without its scheme)
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// `<name attr="...">text</name>`, or nothing when the text is empty
+const element = (name, text, attrs = {}) => {
+  const attrText = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (text === undefined || text === null || text === '') {
+    return Object.keys(attrs).length ? `<${name}${attrText}/>` : '';
+  }
+  return `<${name}${attrText}>${escapeXml(text)}</${name}>`;
+};
+
+function uuidv5(name, namespace) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(name)
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// itunes:duration as HH:MM:SS
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+const mimeTypeFor = (fileName) => MIME_TYPES[path.extname(fileName).slice(1).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Token check that doesn't leak how much of the token matched.
+ */
+function tokenMatches(expected, given) {
+  if (!expected || typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Podcasting 2.0 JSON chapters for a download, or null when it has none.
+ */
+function chaptersJson(download) {
+  if (!download.chapters || !download.chapters.length) return null;
+  return {
+    version: '1.2.0',
+    chapters: download.chapters.map((chapter) => ({
+      startTime: chapter.startTime,
+      endTime: chapter.endTime,
+      title: chapter.title
+    }))
+  };
+}
+
+function itemXml(download, { enclosureUrl, chaptersUrl }) {
+  const title = (download.audioTags && download.audioTags.title) || download.title;
+  const description = download.description || title;
+
+  return [
+    '<item>',
+    element('title', title),
+    element('description', description),
+    element('itunes:summary', description),
+    element('link', download.webpageUrl || download.url),
+    element('guid', String(download._id), { isPermaLink: 'false' }),
+    element('pubDate', new Date(download.downloadDate).toUTCString()),
+    element('enclosure', null, {
+      url: enclosureUrl(download),
+      length: download.fileSize || 0,
+      type: mimeTypeFor(download.fileName)
+    }),
+    download.duration ? element('itunes:duration', formatDuration(download.duration)) : '',
+    download.thumbnail ? element('itunes:image', null, { href: download.thumbnail }) : '',
+    download.uploader ? element('itunes:author', download.uploader) : '',
+    download.trackNumber ? element('itunes:episode', download.trackNumber) : '',
+    element('itunes:explicit', 'false'),
+    chaptersUrl && download.chapters && download.chapters.length
+      ? element('podcast:chapters', null, { url: chaptersUrl(download), type: 'application/json+chapters' })
+      : '',
+    '</item>'
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Builds the feed XML. `feed` holds the channel fields (title, description,
+ * author, image, language, link, feedUrl); `enclosureUrl(download)` and
+ * `chaptersUrl(download)` return an item's media and chapters JSON URLs.
+ */
+function buildFeed(feed, downloads, { enclosureUrl, chaptersUrl }) {
+  const image = feed.image || (downloads.find((download) => download.thumbnail) || {}).thumbnail;
+  const lastBuild = downloads.length ? new Date(downloads[0].downloadDate) : new Date();
+  // podcast:guid must stay stable, so it is derived from the URL without the token
+  const guidSource = feed.feedUrl.replace(/^[a-z]+:\/\//i, '').replace(/\?.*$/, '').replace(/\/+$/, '');
+
+  const channel = [
+    element('title', feed.title),
+    element('description', feed.description || feed.title),
+    element('link', feed.link || config.PUBLIC_URL),
+    element('language', feed.language || 'en'),
+    element('lastBuildDate', lastBuild.toUTCString()),
+    element('generator', 'music-audio'),
+    element('atom:link', null, { href: feed.feedUrl, rel: 'self', type: 'application/rss+xml' }),
+    element('itunes:author', feed.author || feed.title),
+    element('itunes:summary', feed.description || feed.title),
+    element('itunes:type', 'episodic'),
+    element('itunes:explicit', 'false'),
+    element('itunes:block', 'Yes'),
+    image ? element('itunes:image', null, { href: image }) : '',
+    image ? `<image>${element('url', image)}${element('title', feed.title)}${element('link', feed.link || config.PUBLIC_URL)}</image>` : '',
+    element('podcast:locked', 'yes'),
+    element('podcast:guid', uuidv5(guidSource, PODCAST_GUID_NAMESPACE)),
+    ...downloads.map((download) => itemXml(download, { enclosureUrl, chaptersUrl }))
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0"',
+    '  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"',
+    '  xmlns:podcast="https://podcastindex.org/namespace/1.0"',
+    '  xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    ...channel,
+    '</channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { buildFeed, chaptersJson, tokenMatches, mimeTypeFor, formatDuration, escapeXml };
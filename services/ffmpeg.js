@@ -0,0 +1,116 @@
+const { execFile, spawn } = require('child_process');
+const config = require('../config');
+
+// Encoders used when a filter forces a re-encode, by output extension
+const AUDIO_ENCODERS = {
+  mp3: ['-c:a', 'libmp3lame', '-q:a', '2'],
+  m4a: ['-c:a', 'aac', '-b:a', '192k'],
+  opus: ['-c:a', 'libopus', '-b:a', '160k'],
+  ogg: ['-c:a', 'libvorbis', '-q:a', '6'],
+  flac: ['-c:a', 'flac'],
+  wav: ['-c:a', 'pcm_s16le'],
+  mp4: ['-c:a', 'aac', '-b:a', '192k'],
+  mkv: ['-c:a', 'aac', '-b:a', '192k'],
+  webm: ['-c:a', 'libopus', '-b:a', '160k']
+};
+const VIDEO_ENCODERS = {
+  mp4: ['-c:v', 'libx264', '-crf', '20', '-preset', 'medium'],
+  mkv: ['-c:v', 'libx264', '-crf', '20', '-preset', 'medium'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0']
+};
+
+// Muxer names for our extensions, needed when writing to temp file names
+const MUXERS = { m4a: 'ipod', mkv: 'matroska' };
+const muxerFor = (ext) => MUXERS[ext] || ext;
+
+// ffmpeg logs a lot; keep the end where errors are
+const STDERR_TAIL_BYTES = 16 * 1024;
+
+/**
+ * Runs ffmpeg with an argument array. Resolves with the stderr tail (ffmpeg
+ * writes its reports there), rejects with an Error carrying `stderr`.
+ */
+function run(args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.FFMPEG_PATH, ['-hide_banner', '-nostdin', '-y', ...args], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      signal
+    });
+
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+    });
+
+    child.on('error', (err) => {
+      const error = new Error(
+        err.name === 'AbortError' ? 'ffmpeg run cancelled' : `Could not start ffmpeg: ${err.message}`
+      );
+      error.stderr = stderr;
+      reject(error);
+    });
+    child.on('close', (code) => {
+      if (code === 0) return resolve(stderr);
+      const error = new Error(`ffmpeg exited with code ${code}`);
+      error.stderr = stderr;
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Starts ffmpeg writing its output to stdout (args should end in "pipe:1").
+ * Returns the child process; the caller consumes `stdout` and handles exit.
+ */
+function spawnPipe(args) {
+  return spawn(config.FFMPEG_PATH, ['-hide_banner', '-nostdin', '-loglevel', 'error', ...args], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Runs ffprobe on a file and returns what it actually contains:
+ * `{ duration, bitrate, audioCodec, sampleRate, channels,
+ *    videoCodec, width, height, fps }` (bitrate in kbit/s).
+ */
+function probe(filePath) {
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+
+  return new Promise((resolve, reject) => {
+    execFile(config.FFPROBE_PATH, args, { maxBuffer: 8 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) return reject(new Error(`ffprobe failed: ${stderr || error.message}`));
+
+      let data;
+      try {
+        data = JSON.parse(stdout);
+      } catch {
+        return reject(new Error('ffprobe returned invalid JSON'));
+      }
+
+      const streams = data.streams || [];
+      const format = data.format || {};
+      // Cover art shows up as a video stream; skip it
+      const video = streams.find(
+        (stream) => stream.codec_type === 'video' && !(stream.disposition || {}).attached_pic
+      );
+      const audio = streams.find((stream) => stream.codec_type === 'audio');
+
+      const [num, den] = ((video && video.avg_frame_rate) || '0/0').split('/').map(Number);
+
+      resolve({
+        duration: format.duration ? parseFloat(format.duration) : undefined,
+        bitrate: format.bit_rate ? Math.round(format.bit_rate / 1000) : undefined,
+        audioCodec: audio ? audio.codec_name : undefined,
+        sampleRate: audio && audio.sample_rate ? parseInt(audio.sample_rate, 10) : undefined,
+        channels: audio ? audio.channels : undefined,
+        videoCodec: video ? video.codec_name : undefined,
+        width: video ? video.width : undefined,
+        height: video ? video.height : undefined,
+        fps: den ? Math.round((num / den) * 100) / 100 : undefined
+      });
+    });
+  });
+}
+
+module.exports = { run, spawnPipe, probe, muxerFor, AUDIO_ENCODERS, VIDEO_ENCODERS };
@@ -0,0 +1,59 @@
+/**
+ * Normalizes the `formats` array of yt-dlp's info JSON into something a
+ * client can render as a format picker.
+ */
+
+const hasCodec = (codec) => Boolean(codec) && codec !== 'none';
+
+// Bytes, falling back to bitrate (kbit/s) x duration when yt-dlp has no size
+function estimateSize(format, duration) {
+  if (format.filesize) return { size: format.filesize, estimated: false };
+  if (format.filesize_approx) return { size: format.filesize_approx, estimated: true };
+  if (format.tbr && duration) return { size: Math.round((format.tbr * 1000 * duration) / 8), estimated: true };
+  return { size: null, estimated: true };
+}
+
+function normalizeFormat(format, duration) {
+  const hasVideo = hasCodec(format.vcodec);
+  const hasAudio = hasCodec(format.acodec);
+  const { size, estimated } = estimateSize(format, duration);
+
+  return {
+    formatId: format.format_id,
+    kind: hasVideo && hasAudio ? 'muxed' : hasVideo ? 'video' : 'audio',
+    container: format.ext,
+    videoCodec: hasVideo ? format.vcodec : null,
+    audioCodec: hasAudio ? format.acodec : null,
+    bitrate: format.tbr || format.abr || format.vbr || null,
+    audioBitrate: hasAudio ? format.abr || null : null,
+    sampleRate: hasAudio ? format.asr || null : null,
+    width: format.width || null,
+    height: format.height || null,
+    resolution: hasVideo && format.width && format.height ? `${format.width}x${format.height}` : null,
+    fps: hasVideo ? format.fps || null : null,
+    size,
+    sizeEstimated: estimated,
+    protocol: format.protocol,
+    note: format.format_note || null
+  };
+}
+
+/**
+ * Splits formats into audio-only and video (video-only or muxed) lists,
+ * best first. Storyboards and other formats without media are dropped.
+ */
+function normalizeFormats(info) {
+  const formats = (info.formats || [])
+    .filter((format) => hasCodec(format.vcodec) || hasCodec(format.acodec))
+    .map((format) => normalizeFormat(format, info.duration));
+
+  const byBitrate = (a, b) => (b.bitrate || 0) - (a.bitrate || 0);
+  const byResolution = (a, b) => (b.height || 0) - (a.height || 0) || byBitrate(a, b);
+
+  return {
+    audio: formats.filter((format) => format.kind === 'audio').sort(byBitrate),
+    video: formats.filter((format) => format.kind !== 'audio').sort(byResolution)
+  };
+}
+
+module.exports = { normalizeFormats };
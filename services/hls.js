@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const Download = require('../models/Download');
+const Job = require('../models/Job');
+const ffmpeg = require('./ffmpeg');
+const jobQueue = require('./jobQueue');
+const storage = require('./storage');
+
+/**
+ * HLS packaging: one ffmpeg run turns a download into a rendition ladder
+ * (H.264/AAC for video, AAC for audio) with a master playlist under
+ * DOWNLOAD_DIR/hls/<downloadId>/, served by routes/hls.
+ */
+
+// Video ladder, highest first; rungs above the source height are dropped
+const VIDEO_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const AUDIO_LADDER = [
+  { name: '192k', audioBitrate: 192 },
+  { name: '128k', audioBitrate: 128 },
+  { name: '64k', audioBitrate: 64 }
+];
+
+const hlsDir = (downloadId) => path.join(config.DOWNLOAD_DIR, 'hls', String(downloadId));
+
+// Matches scale=-2:h, which keeps the aspect ratio and rounds to an even width
+const evenWidth = (probed, height) => Math.round((probed.width * height) / probed.height / 2) * 2;
+
+function pickLadder(download, probed) {
+  if (download.fileType === 'audio' || !probed.videoCodec) return AUDIO_LADDER;
+
+  const sourceHeight = probed.height || download.height || 0;
+  const ladder = VIDEO_LADDER.filter((rung) => rung.height <= sourceHeight);
+  // Tiny sources still get one rendition at their own size
+  return ladder.length ? ladder : [{ ...VIDEO_LADDER[VIDEO_LADDER.length - 1], height: sourceHeight }];
+}
+
+function buildArgs(sourcePath, outDir, ladder, isVideo) {
+  const args = ['-i', sourcePath];
+
+  if (isVideo) {
+    const scaled = ladder.map((rung, i) => `[v${i}]scale=-2:${rung.height}[v${i}o]`);
+    args.push(
+      '-filter_complex',
+      `[0:v:0]split=${ladder.length}${ladder.map((_, i) => `[v${i}]`).join('')};${scaled.join(';')}`
+    );
+    ladder.forEach((rung, i) => {
+      args.push(
+        '-map',
+        `[v${i}o]`,
+        `-c:v:${i}`,
+        'libx264',
+        `-b:v:${i}`,
+        `${rung.videoBitrate}k`,
+        `-maxrate:v:${i}`,
+        `${Math.round(rung.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`,
+        `${rung.videoBitrate * 2}k`
+      );
+    });
+    // Keyframes on segment boundaries so every rendition switches cleanly
+    args.push('-preset', 'veryfast', '-sc_threshold', '0', '-force_key_frames', `expr:gte(t,n_forced*${config.HLS_SEGMENT_SECONDS})`);
+  }
+
+  ladder.forEach((rung, i) => {
+    args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rung.audioBitrate}k`);
+  });
+
+  const streamMap = ladder
+    .map((rung, i) => (isVideo ? `v:${i},a:${i},name:${rung.name}` : `a:${i},name:${rung.name}`))
+    .join(' ');
+
+  args.push(
+    '-f',
+    'hls',
+    '-hls_time',
+    String(config.HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type',
+    'vod',
+    '-hls_segment_filename',
+    path.join(outDir, '%v', 'segment_%05d.ts'),
+    '-master_pl_name',
+    'master.m3u8',
+    '-var_stream_map',
+    streamMap,
+    path.join(outDir, '%v', 'index.m3u8')
+  );
+  return args;
+}
+
+/**
+ * Handler for "hls" jobs.
+ */
+async function runHlsJob(job, { onProgress, signal } = {}) {
+  const download = await Download.findById(job.download);
+  if (!download) throw new Error('Download no longer exists');
+  // A local path, or a presigned URL when the file is in object storage
+  const input = await storage.inputFor(download);
+
+  const setHls = (fields) =>
+    Download.updateOne({ _id: download._id }, { $set: Object.fromEntries(
+      Object.entries({ ...fields, updatedAt: new Date() }).map(([key, value]) => [`hls.${key}`, value])
+    ) });
+
+  if (onProgress) onProgress({ phase: 'packaging' });
+  await setHls({ status: 'processing', job: job._id, error: null });
+
+  // Package into a scratch dir and swap it in, so a half-written ladder is never served
+  const outDir = hlsDir(download._id);
+  const workDir = `${outDir}.tmp`;
+  fs.rmSync(workDir, { recursive: true, force: true });
+
+  try {
+    const probed = await ffmpeg.probe(input);
+    const ladder = pickLadder(download, probed);
+    const isVideo = ladder !== AUDIO_LADDER;
+    ladder.forEach((rung) => fs.mkdirSync(path.join(workDir, rung.name), { recursive: true }));
+
+    await ffmpeg.run(buildArgs(input, workDir, ladder, isVideo), { signal });
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.renameSync(workDir, outDir);
+
+    const renditions = ladder.map((rung) => ({
+      name: rung.name,
+      bandwidth: ((rung.videoBitrate || 0) + rung.audioBitrate) * 1000,
+      width: isVideo && probed.width && probed.height ? evenWidth(probed, rung.height) : undefined,
+      height: isVideo ? rung.height : undefined,
+      audioBitrate: rung.audioBitrate
+    }));
+    await setHls({ status: 'ready', renditions, segmentSeconds: config.HLS_SEGMENT_SECONDS });
+    console.log(`🎞️ HLS ready for ${download._id} (${ladder.map((rung) => rung.name).join(', ')})`);
+
+    return { download: download._id, link: `${config.PUBLIC_URL}/hls/${download._id}/master.m3u8` };
+  } catch (err) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    // A paused job packages again from scratch when resumed, so it hasn't failed
+    if (!(signal && signal.aborted && signal.reason === 'pause')) await setHls({ status: 'failed', error: err.message });
+    const jobErr = new Error(`HLS packaging failed: ${err.message}`);
+    jobErr.details = err.stderr;
+    throw jobErr;
+  }
+}
+
+/**
+ * Queues packaging for a download (as a job of `owner`) unless it is already
+ * queued or running. Returns the job, or null when one was already pending.
+ */
+async function enqueuePackaging(download, owner) {
+  // The status alone can outlive its job (cancelled, purged), so ask the job
+  if (download.hls && ['queued', 'processing'].includes(download.hls.status) && download.hls.job) {
+    const pending = await Job.exists({ _id: download.hls.job, status: { $nin: Job.FINISHED_STATUSES } });
+    if (pending) return null;
+  }
+
+  const job = await jobQueue.enqueue({}, { kind: 'hls', download: download._id, title: download.title, owner });
+  await Download.updateOne(
+    { _id: download._id },
+    { $set: { hls: { status: 'queued', job: job._id, updatedAt: new Date() } } }
+  );
+  return job;
+}
+
+/**
+ * Cleanup for "hls" jobs that end without running to completion (cancelled,
+ * or given up on after restarts): the download stops showing packaging as
+ * queued or in progress, and the scratch dir goes.
+ */
+async function abandonPackaging(job) {
+  fs.rmSync(`${hlsDir(job.download)}.tmp`, { recursive: true, force: true });
+  await Download.updateOne(
+    { _id: job.download, 'hls.job': job._id, 'hls.status': { $in: ['queued', 'processing'] } },
+    {
+      $set: {
+        'hls.status': 'failed',
+        'hls.error': (job.error && job.error.message) || 'Packaging stopped',
+        'hls.updatedAt': new Date()
+      }
+    }
+  );
+}
+
+/**
+ * Removes a download's packaged renditions.
+ */
+function removePackaging(downloadId) {
+  fs.rmSync(hlsDir(downloadId), { recursive: true, force: true });
+}
+
+module.exports = { runHlsJob, enqueuePackaging, abandonPackaging, removePackaging, hlsDir };
@@ -0,0 +1,14 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process bus for job updates, consumed by the SSE and WebSocket endpoints.
+ *
+ *   'progress' (jobId, progress)  - parsed yt-dlp progress
+ *   'status'   (jobId, snapshot)  - status change with result/error
+ */
+const jobEvents = new EventEmitter();
+
+// One listener per connected client
+jobEvents.setMaxListeners(0);
+
+module.exports = jobEvents;
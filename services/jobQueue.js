@@ -0,0 +1,370 @@
+const config = require('../config');
+const Job = require('../models/Job');
+const jobEvents = require('./jobEvents');
+const failures = require('./failures');
+
+// Progress is streamed live but only written to Mongo this often
+const PROGRESS_SAVE_INTERVAL = 2000;
+
+// Queued jobs waiting for a free worker slot, by priority then arrival
+const pending = [];
+let sequence = 0;
+let active = 0;
+// Nothing runs until start() has recovered the last run's jobs; requests
+// accepted before that only wait in `pending`
+let started = false;
+
+// Running jobs' AbortControllers; the abort reason says why ('cancel' | 'pause')
+const controllers = new Map();
+
+const PRIORITY_RANK = Object.fromEntries(Job.PRIORITIES.map((priority, rank) => [priority, rank]));
+
+// job.kind -> async (job, { onProgress, signal }) => result
+const handlers = {};
+// job.kind -> async (job) => void, tidies up after a job that was cancelled
+// or given up on after too many interrupted runs
+const cleanups = {};
+
+function registerHandler(kind, handler, { cleanup } = {}) {
+  handlers[kind] = handler;
+  if (cleanup) cleanups[kind] = cleanup;
+}
+
+function unschedule(jobId) {
+  const index = pending.findIndex((entry) => entry.id === String(jobId));
+  if (index !== -1) pending.splice(index, 1);
+}
+
+// Higher priorities go ahead; equal ones keep their arrival order
+function schedule(job) {
+  unschedule(job._id);
+  const entry = { id: String(job._id), rank: PRIORITY_RANK[job.priority] ?? PRIORITY_RANK.normal, seq: sequence++ };
+  const index = pending.findIndex((other) => other.rank > entry.rank);
+  if (index === -1) pending.push(entry);
+  else pending.splice(index, 0, entry);
+}
+
+async function cleanUp(job) {
+  const cleanup = cleanups[job.kind];
+  if (!cleanup) return;
+  try {
+    await cleanup(job);
+  } catch (err) {
+    console.error(`Job ${job._id} cleanup failed:`, err.message);
+  }
+}
+
+async function runJob(jobId) {
+  // Registered before the claim, so a cancel racing the claim still finds it
+  const controller = new AbortController();
+  controllers.set(jobId, controller);
+  try {
+    await runClaimed(jobId, controller.signal);
+  } finally {
+    controllers.delete(jobId);
+  }
+}
+
+async function runClaimed(jobId, signal) {
+  // Claim the job atomically so it never runs twice
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() }, $unset: { nextAttemptAt: 1 } },
+    { new: true }
+  );
+  if (!job) return;
+  const attempt = job.attempts.length + 1;
+
+  console.log(`⏳ Job ${job._id} started (${job.kind} ${job.params.type || ''} ${job.params.url || job.download})`);
+  emitStatus(job);
+
+  let progress = {};
+  let lastSave = 0;
+  let pendingSave = Promise.resolve();
+  const onProgress = (update) => {
+    // Phase-only updates keep the last known numbers
+    progress = update.percent === undefined ? { ...progress, ...update } : update;
+    progress.updatedAt = new Date();
+    jobEvents.emit('progress', String(job._id), progress);
+
+    if (Date.now() - lastSave >= PROGRESS_SAVE_INTERVAL) {
+      lastSave = Date.now();
+      pendingSave = Job.updateOne({ _id: job._id }, { progress }).catch((err) =>
+        console.error(`Job ${job._id} progress save failed:`, err.message)
+      );
+    }
+  };
+
+  try {
+    const handler = handlers[job.kind];
+    if (!handler) throw new Error(`No handler registered for ${job.kind} jobs`);
+
+    const result = await handler(job, { onProgress, signal });
+    job.result = result;
+    job.error = undefined;
+    job.attempts.push({ number: attempt, startedAt: job.startedAt, finishedAt: new Date() });
+    if (result.skipped) {
+      job.status = 'skipped';
+      console.log(`⏭️ Job ${job._id} skipped: ${result.reason}`);
+    } else {
+      job.status = 'succeeded';
+      progress = { ...progress, phase: 'done', percent: 100, eta: 0, updatedAt: new Date() };
+      console.log(`✅ Job ${job._id} succeeded`);
+    }
+  } catch (err) {
+    if (signal.aborted && signal.reason === 'pause') {
+      // Not an attempt: resuming picks up where this run stopped
+      job.status = 'paused';
+      progress = { ...progress, phase: 'paused', speed: 0, eta: undefined, updatedAt: new Date() };
+      console.log(`⏸️ Job ${job._id} paused`);
+    } else if (signal.aborted) {
+      job.status = 'cancelled';
+      job.error = { code: 'CANCELLED', message: 'Cancelled by request' };
+      job.attempts.push({ number: attempt, startedAt: job.startedAt, finishedAt: new Date(), error: job.error });
+      await cleanUp(job);
+      console.log(`🛑 Job ${job._id} cancelled`);
+    } else {
+      recordFailure(job, attempt, err);
+    }
+  }
+
+  // Don't let a late throttled write clobber the final state
+  await pendingSave;
+  job.progress = progress;
+  if (Job.FINISHED_STATUSES.includes(job.status)) job.finishedAt = new Date();
+  await job.save();
+  emitStatus(job);
+}
+
+// Fails the job, or puts it back in line when the error is worth retrying
+function recordFailure(job, attempt, err) {
+  const failure = failures.classify(err);
+  const record = { number: attempt, startedAt: job.startedAt, finishedAt: new Date() };
+  record.error = { code: failure.code, message: failure.message };
+  job.error = { ...record.error, details: err.details || err.stderr, retryable: failure.retryable };
+
+  if (failure.retryable && attempt < config.JOB_MAX_ATTEMPTS) {
+    const delay = failures.backoff(attempt);
+    record.retryAt = new Date(Date.now() + delay);
+    job.status = 'queued';
+    job.nextAttemptAt = record.retryAt;
+    retryLater(job, delay);
+    console.warn(`🔁 Job ${job._id} attempt ${attempt} failed (${failure.code}), retrying in ${Math.round(delay / 1000)}s`);
+  } else {
+    job.status = 'failed';
+    console.error(`❌ Job ${job._id} failed (${failure.code}):`, err.message);
+  }
+  job.attempts.push(record);
+}
+
+// Puts a job back in line once its backoff delay has passed
+function retryLater(job, delay) {
+  const { _id, priority } = job;
+  setTimeout(() => {
+    schedule({ _id, priority });
+    drain();
+  }, delay);
+}
+
+function emitStatus(job) {
+  jobEvents.emit('status', String(job._id), snapshot(job));
+}
+
+/**
+ * The part of a job pushed to live listeners.
+ */
+function snapshot(job) {
+  return {
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    priority: job.priority,
+    attempts: job.attempts,
+    nextAttemptAt: job.nextAttemptAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function drain() {
+  if (!started) return;
+  while (active < config.JOB_CONCURRENCY && pending.length > 0) {
+    const { id: jobId } = pending.shift();
+    active++;
+    runJob(jobId)
+      .catch((err) => console.error(`Job ${jobId} crashed:`, err))
+      .finally(() => {
+        active--;
+        drain();
+      });
+  }
+}
+
+/**
+ * Persists a new job and schedules it. `fields` sets the other Job fields
+ * (kind, batch, ...). Returns the saved Job document.
+ */
+async function enqueue(params, fields = {}) {
+  const job = await Job.create({ ...fields, params });
+  schedule(job);
+  setImmediate(drain);
+  return job;
+}
+
+/**
+ * Persists and schedules several jobs at once, each given as full Job fields.
+ */
+async function enqueueMany(docs) {
+  const jobs = await Job.insertMany(docs);
+  // Docs may arrive already finished (e.g. skipped for quota)
+  jobs.filter((job) => job.status === 'queued').forEach(schedule);
+  setImmediate(drain);
+  return jobs;
+}
+
+/**
+ * Jobs still marked running were cut off when the server last stopped (a
+ * crash, or nodemon restarting it). Each counts as an attempt; the rest go
+ * back in the queue and keep their outputBase, so yt-dlp continues the
+ * .part files they left behind.
+ */
+async function recoverInterrupted() {
+  const interrupted = (await Job.find({ status: 'running' })).filter((job) => !controllers.has(String(job._id)));
+  for (const job of interrupted) {
+    const attempt = job.attempts.length + 1;
+    const error = { code: 'INTERRUPTED', message: 'The server stopped while the job was running' };
+    job.attempts.push({ number: attempt, startedAt: job.startedAt, finishedAt: new Date(), error });
+    job.error = { ...error, retryable: attempt < config.JOB_MAX_ATTEMPTS };
+    if (attempt < config.JOB_MAX_ATTEMPTS) {
+      job.status = 'queued';
+      const { progress } = job.toObject();
+      job.progress = { ...progress, phase: 'interrupted', speed: 0, eta: undefined, updatedAt: new Date() };
+    } else {
+      // Something in it keeps taking the server down; don't loop on it
+      job.status = 'failed';
+      job.finishedAt = new Date();
+      await cleanUp(job);
+    }
+    await job.save();
+  }
+  if (interrupted.length) console.log(`♻️ Recovered ${interrupted.length} interrupted job(s)`);
+}
+
+/**
+ * Picks up jobs that were still queued or running when the server last
+ * stopped.
+ */
+async function start() {
+  await recoverInterrupted();
+  const queued = await Job.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id priority nextAttemptAt');
+  const now = Date.now();
+  queued.forEach((job) => {
+    // Retries keep their backoff across restarts
+    if (job.nextAttemptAt && job.nextAttemptAt.getTime() > now) retryLater(job, job.nextAttemptAt.getTime() - now);
+    else schedule(job);
+  });
+  if (queued.length) console.log(`📋 Re-queued ${queued.length} pending job(s)`);
+  started = true;
+  drain();
+}
+
+/**
+ * Cancels a job. Queued and paused jobs are cancelled on the spot; a running
+ * one has its process tree killed and its partial files removed, after which
+ * runJob records the cancellation. Returns the job, or null when it had
+ * already finished.
+ */
+async function cancel(job) {
+  const error = { code: 'CANCELLED', message: 'Cancelled by request' };
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['queued', 'paused'] } },
+    { $set: { status: 'cancelled', error, finishedAt: new Date() }, $unset: { nextAttemptAt: 1 } },
+    { new: true }
+  );
+  if (cancelled) {
+    unschedule(cancelled._id);
+    // A paused download leaves .part files behind
+    await cleanUp(cancelled);
+    console.log(`🛑 Job ${cancelled._id} cancelled`);
+    emitStatus(cancelled);
+    return cancelled;
+  }
+  return abort(job, 'cancel');
+}
+
+/**
+ * Pauses a queued or running job. A running download is stopped but keeps
+ * its partial files, so resume() continues where it left off.
+ */
+async function pause(job) {
+  const paused = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { status: 'paused' } },
+    { new: true }
+  );
+  if (paused) {
+    unschedule(paused._id);
+    console.log(`⏸️ Job ${paused._id} paused`);
+    emitStatus(paused);
+    return paused;
+  }
+  return abort(job, 'pause');
+}
+
+/**
+ * Puts a paused job back in the queue. Returns null when it wasn't paused.
+ */
+async function resume(job) {
+  const resumed = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'paused' },
+    { $set: { status: 'queued' }, $unset: { nextAttemptAt: 1 } },
+    { new: true }
+  );
+  if (!resumed) return null;
+  schedule(resumed);
+  console.log(`▶️ Job ${resumed._id} resumed`);
+  emitStatus(resumed);
+  setImmediate(drain);
+  return resumed;
+}
+
+/**
+ * Changes an unfinished job's priority, moving it in the queue if it is
+ * waiting. Returns null when the job has already finished.
+ */
+async function setPriority(job, priority) {
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $nin: Job.FINISHED_STATUSES } },
+    { $set: { priority } },
+    { new: true }
+  );
+  if (!updated) return null;
+  if (pending.some((entry) => entry.id === String(updated._id))) schedule(updated);
+  return updated;
+}
+
+// Stops a running job; runJob records the outcome once its handler returns
+async function abort(job, reason) {
+  const controller = controllers.get(String(job._id));
+  if (!controller) return null;
+  if (!controller.signal.aborted) controller.abort(reason);
+  return Job.findById(job._id);
+}
+
+function stats() {
+  return { active, pending: pending.length, concurrency: config.JOB_CONCURRENCY };
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  enqueueMany,
+  cancel,
+  pause,
+  resume,
+  setPriority,
+  start,
+  stats,
+  snapshot
+};
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const Job = require('../models/Job');
+const jobEvents = require('./jobEvents');
+const auth = require('./auth');
+
+const WS_PATH = '/ws';
+
+/**
+ * WebSocket channel for job updates, mounted on the HTTP server at /ws.
+ *
+ * Clients subscribe by connecting to /ws?jobId=<id> (or jobId=* for every job)
+ * or by sending {"type":"subscribe","jobId":"<id>"}; "unsubscribe" works the
+ * same way. Updates arrive as {"type":"progress"|"status","jobId",...data}.
+ *
+ * The upgrade request authenticates like any other request; users can only
+ * subscribe to their own jobs, and only admins to "*".
+ */
+function attach(server) {
+  const verifyClient = (info, done) => {
+    auth
+      .resolveUser(info.req)
+      .then((user) => {
+        if (!user) return done(false, 401, 'Authentication required');
+        info.req.user = user;
+        done(true);
+      })
+      .catch((err) => done(false, err.status || 401, err.message));
+  };
+  const wss = new WebSocketServer({ server, path: WS_PATH, verifyClient });
+
+  const subscribe = async (socket, jobId) => {
+    const { user } = socket;
+    const allowed =
+      jobId === '*'
+        ? auth.can(user, 'manage')
+        : mongoose.isValidObjectId(jobId) && (await Job.exists({ _id: jobId, ...auth.ownedFilter(user) }));
+    if (!allowed) {
+      return socket.send(JSON.stringify({ type: 'error', jobId, error: 'Unknown job or not yours to watch' }));
+    }
+    socket.jobIds.add(jobId);
+  };
+
+  wss.on('connection', (socket, req) => {
+    socket.jobIds = new Set();
+    socket.user = req.user;
+
+    const initial = new URL(req.url, 'http://localhost').searchParams.get('jobId');
+    if (initial) subscribe(socket, initial).catch((err) => console.error('WebSocket subscribe error:', err.message));
+
+    socket.on('message', (raw) => {
+      // A bad frame must never take the server down
+      try {
+        handleMessage(socket, raw);
+      } catch (err) {
+        console.error('WebSocket message error:', err.message);
+      }
+    });
+  });
+
+  const reply = (socket, data) => socket.send(JSON.stringify(data));
+
+  const handleMessage = (socket, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return reply(socket, { type: 'error', error: 'Messages must be JSON' });
+    }
+
+    // JSON.parse happily returns null, numbers, strings and arrays
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return reply(socket, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+    if (!message.jobId || !['subscribe', 'unsubscribe'].includes(message.type)) {
+      return reply(socket, { type: 'error', error: 'Expected {type: subscribe|unsubscribe, jobId}' });
+    }
+
+    if (message.type === 'subscribe') {
+      subscribe(socket, String(message.jobId)).catch((err) => console.error('WebSocket subscribe error:', err.message));
+    } else {
+      socket.jobIds.delete(String(message.jobId));
+    }
+  };
+
+  const broadcast = (type) => (jobId, data) => {
+    const payload = JSON.stringify({ type, jobId, ...data });
+    wss.clients.forEach((socket) => {
+      if (socket.readyState !== WebSocket.OPEN) return;
+      if (socket.jobIds.has(jobId) || socket.jobIds.has('*')) socket.send(payload);
+    });
+  };
+
+  jobEvents.on('progress', broadcast('progress'));
+  jobEvents.on('status', broadcast('status'));
+
+  return wss;
+}
+
+module.exports = { attach, WS_PATH };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config');
+const Download = require('../models/Download');
+const Collection = require('../models/Collection');
+const Playlist = require('../models/Playlist');
+const { ValidationError } = require('../errors');
+const { parseTags } = require('./downloadOptions');
+const transcoder = require('./transcoder');
+const hls = require('./hls');
+const storage = require('./storage');
+
+// Fields PATCH /downloads may change; everything else comes from the file or source
+const STRING_FIELDS = ['title', 'uploader', 'channel', 'description'];
+const LIST_FIELDS = ['tags', 'categories'];
+
+const MAX_IDS = 500;
+
+/**
+ * Validates a metadata update and returns a Mongo `$set` object.
+ * Only the database record changes; the file itself is left as is.
+ */
+function parseDownloadUpdate(body) {
+  const errors = [];
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ValidationError('Invalid update', ['body must be an object']);
+  }
+
+  const update = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (STRING_FIELDS.includes(key)) {
+      if (typeof value !== 'string') errors.push(`${key} must be a string`);
+      else update[key] = value.trim();
+    } else if (LIST_FIELDS.includes(key)) {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        errors.push(`${key} must be an array of strings`);
+      } else {
+        update[key] = value.map((item) => item.trim()).filter(Boolean);
+      }
+    } else if (key === 'shared') {
+      if (typeof value !== 'boolean') errors.push('shared must be a boolean');
+      else update.shared = value;
+    } else if (key === 'uploadDate') {
+      const date = value === null ? null : new Date(value);
+      if (date && Number.isNaN(date.getTime())) errors.push('uploadDate must be a date');
+      else update.uploadDate = date;
+    } else if (key === 'audioTags') {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push('audioTags must be an object');
+        return;
+      }
+      Object.entries(parseTags(value, errors)).forEach(([tag, tagValue]) => {
+        update[`audioTags.${tag}`] = tagValue;
+      });
+    } else {
+      errors.push(`${key} cannot be edited`);
+    }
+  });
+
+  if (update.title === '') errors.push('title cannot be empty');
+  if (!errors.length && Object.keys(update).length === 0) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid update', errors);
+  return update;
+}
+
+/**
+ * Validates the `ids` array of a bulk request.
+ */
+function parseIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_IDS) {
+    throw new ValidationError('Invalid ids', [`ids must be an array of 1 to ${MAX_IDS} ids`]);
+  }
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  if (invalid.length) {
+    throw new ValidationError('Invalid ids', invalid.map((id) => `${id} is not a valid id`));
+  }
+  return [...new Set(ids.map(String))];
+}
+
+async function deleteLocal(download) {
+  const location = storage.locate(download);
+  const filePath = location ? location.driver.localPath(location.key) : null;
+  const hasFile = Boolean(filePath) && fs.existsSync(filePath);
+  const trashPath = hasFile ? path.join(path.dirname(filePath), `.deleting-${path.basename(filePath)}`) : null;
+
+  if (hasFile) fs.renameSync(filePath, trashPath);
+  try {
+    await Download.deleteOne({ _id: download._id });
+  } catch (err) {
+    if (hasFile) fs.renameSync(trashPath, filePath);
+    throw err;
+  }
+  if (hasFile) fs.rmSync(trashPath, { force: true });
+  return { fileMissing: !hasFile };
+}
+
+// Object stores can't move things aside, so the record goes first: a stray
+// object is only wasted space, a record without its object is a broken link
+async function deleteStored(download) {
+  const hasFile = await storage.exists(download);
+  await Download.deleteOne({ _id: download._id });
+  if (hasFile) {
+    await storage.remove(download).catch((err) => console.error(`Storage delete error for ${download._id}:`, err.message));
+  }
+  return { fileMissing: !hasFile };
+}
+
+/**
+ * Removes a download's file and its record together. A local file is moved
+ * aside first and put back if the database delete fails, so a failure never
+ * leaves a record without a file or a file without a record.
+ * Returns `{ fileMissing }`.
+ */
+async function deleteDownload(download) {
+  const { fileMissing } = storage.isLocal(download) ? await deleteLocal(download) : await deleteStored(download);
+  transcoder.purge(download._id);
+  hls.removePackaging(download._id);
+
+  // Chapter tracks stay in the library on their own
+  await Download.updateMany({ parent: download._id }, { $unset: { parent: 1 } });
+  await Collection.updateMany({ downloads: download._id }, { $pull: { downloads: download._id } });
+  await Playlist.updateMany({ 'items.download': download._id }, { $pull: { items: { download: download._id } } });
+  return { fileMissing };
+}
+
+const fileLink = (download) => `${config.PUBLIC_URL}/downloads/${download.fileName}`;
+
+module.exports = { parseDownloadUpdate, parseIds, deleteDownload, fileLink };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const ffmpeg = require('./ffmpeg');
+
+/**
+ * Loudness post-processing for audio downloads:
+ *   normalize  - two-pass ffmpeg loudnorm to a LUFS target and true-peak ceiling
+ *   replaygain - measure only and write ReplayGain 2.0 tags (R128 gain for opus)
+ */
+
+const MODES = ['normalize', 'replaygain'];
+
+// ReplayGain 2.0 reference level, and the one Opus R128 gains are relative to
+const REPLAYGAIN_REFERENCE = -18;
+const R128_REFERENCE = -23;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Validates `loudness` from a download request, pushing problems onto `errors`.
+ */
+function parseLoudnessOptions(loudness, errors) {
+  if (typeof loudness !== 'object' || loudness === null || Array.isArray(loudness)) {
+    errors.push('loudness must be an object');
+    return undefined;
+  }
+
+  const options = { mode: loudness.mode || 'normalize' };
+  if (!MODES.includes(options.mode)) errors.push(`loudness.mode must be one of: ${MODES.join(', ')}`);
+
+  [
+    ['target', -70, -5],
+    ['truePeak', -9, 0],
+    ['range', 1, 20]
+  ].forEach(([key, min, max]) => {
+    const value = loudness[key];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || value < min || value > max) {
+      errors.push(`loudness.${key} must be a number between ${min} and ${max}`);
+    } else {
+      options[key] = value;
+    }
+  });
+  Object.keys(loudness).forEach((key) => {
+    if (!['mode', 'target', 'truePeak', 'range'].includes(key)) {
+      errors.push(`loudness.${key} is not a supported option`);
+    }
+  });
+
+  return options;
+}
+
+const loudnormFilter = ({ target, truePeak, range }) =>
+  `loudnorm=I=${target}:TP=${truePeak}:LRA=${range}`;
+
+// loudnorm prints its report as the last JSON object on stderr
+function parseReport(stderr) {
+  const match = /\{[^{}]*"input_i"[^{}]*\}/.exec(stderr);
+  if (!match) throw new Error('Could not read the loudnorm report');
+  const report = JSON.parse(match[0]);
+  return Object.fromEntries(Object.entries(report).map(([key, value]) => [key, parseFloat(value)]));
+}
+
+const withDefaults = (options = {}) => ({
+  target: options.target ?? config.LOUDNESS_TARGET_LUFS,
+  truePeak: options.truePeak ?? config.LOUDNESS_TRUE_PEAK,
+  range: options.range ?? config.LOUDNESS_RANGE
+});
+
+/**
+ * First loudnorm pass: integrated loudness (LUFS), true peak (dBTP),
+ * loudness range (LU) and gating threshold of the first audio stream.
+ */
+async function measure(filePath, options, { signal } = {}) {
+  const stderr = await ffmpeg.run(
+    [
+      '-i',
+      filePath,
+      '-map',
+      '0:a:0',
+      '-af',
+      `${loudnormFilter(withDefaults(options))}:print_format=json`,
+      '-f',
+      'null',
+      '-'
+    ],
+    { signal }
+  );
+  const report = parseReport(stderr);
+  return {
+    integrated: report.input_i,
+    truePeak: report.input_tp,
+    range: report.input_lra,
+    threshold: report.input_thresh,
+    offset: report.target_offset
+  };
+}
+
+/**
+ * Second loudnorm pass using the measured values, re-encoding the audio in
+ * place. Tags and cover art are copied across. Returns the output loudness.
+ */
+async function normalize(filePath, ext, measured, options, { sampleRate, signal } = {}) {
+  const target = withDefaults(options);
+  const tmpPath = path.join(path.dirname(filePath), `.normalizing-${path.basename(filePath)}`);
+  const filter = [
+    loudnormFilter(target),
+    `measured_I=${measured.integrated}`,
+    `measured_TP=${measured.truePeak}`,
+    `measured_LRA=${measured.range}`,
+    `measured_thresh=${measured.threshold}`,
+    `offset=${measured.offset}`,
+    'linear=true',
+    'print_format=json'
+  ].join(':');
+
+  const args = ['-i', filePath, '-map', '0', '-c', 'copy', '-af', filter, ...ffmpeg.AUDIO_ENCODERS[ext]];
+  // loudnorm upsamples to 192 kHz internally; go back to the source rate
+  args.push('-ar', String(sampleRate || 48000));
+  if (ext === 'mp3') args.push('-id3v2_version', '4', '-write_id3v1', '0');
+  args.push('-f', ffmpeg.muxerFor(ext), tmpPath);
+
+  try {
+    const report = parseReport(await ffmpeg.run(args, { signal }));
+    fs.renameSync(tmpPath, filePath);
+    return { integrated: report.output_i, truePeak: report.output_tp, range: report.output_lra };
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+/**
+ * ReplayGain 2.0 values from a measurement (gain in dB, peak as linear ratio).
+ */
+function gainFor(measured) {
+  return {
+    gain: round(REPLAYGAIN_REFERENCE - measured.integrated),
+    peak: round(10 ** (measured.truePeak / 20), 6)
+  };
+}
+
+/**
+ * Writes ReplayGain track (and album) tags without touching the audio.
+ * Opus files get R128_TRACK_GAIN/R128_ALBUM_GAIN as players expect there.
+ */
+async function writeGainTags(filePath, ext, { track, album }, { signal } = {}) {
+  const tags = {};
+  if (ext === 'opus') {
+    // Q7.8 fixed point, relative to -23 LUFS
+    const r128 = (gain) => String(Math.round((gain + R128_REFERENCE - REPLAYGAIN_REFERENCE) * 256));
+    tags.R128_TRACK_GAIN = r128(track.gain);
+    if (album) tags.R128_ALBUM_GAIN = r128(album.gain);
+  } else {
+    tags.REPLAYGAIN_TRACK_GAIN = `${track.gain.toFixed(2)} dB`;
+    tags.REPLAYGAIN_TRACK_PEAK = track.peak.toFixed(6);
+    if (album) {
+      tags.REPLAYGAIN_ALBUM_GAIN = `${album.gain.toFixed(2)} dB`;
+      tags.REPLAYGAIN_ALBUM_PEAK = album.peak.toFixed(6);
+    }
+  }
+
+  const tmpPath = path.join(path.dirname(filePath), `.gain-${path.basename(filePath)}`);
+  // Ogg keeps comments on the audio stream, everything else on the container
+  const scope = ext === 'opus' || ext === 'ogg' ? '-metadata:s:a:0' : '-metadata';
+  const args = ['-i', filePath, '-map', '0', '-c', 'copy'];
+  Object.entries(tags).forEach(([key, value]) => args.push(scope, `${key}=${value}`));
+  if (ext === 'mp3') args.push('-id3v2_version', '4', '-write_id3v1', '0');
+  // MP4 only keeps non-standard keys with this flag
+  if (ext === 'm4a') args.push('-movflags', 'use_metadata_tags');
+  args.push('-f', ffmpeg.muxerFor(ext), tmpPath);
+
+  try {
+    await ffmpeg.run(args, { signal });
+    fs.renameSync(tmpPath, filePath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Runs the requested loudness stage on one file and returns what to store
+ * on its Download. `album` is the measurement of the whole album, if any.
+ */
+async function processLoudness(filePath, ext, options, { album, sampleRate, signal } = {}) {
+  const measured = await measure(filePath, options, { signal });
+  const record = {
+    mode: options.mode,
+    integrated: measured.integrated,
+    truePeak: measured.truePeak,
+    range: measured.range,
+    threshold: measured.threshold
+  };
+
+  if (options.mode === 'normalize') {
+    const target = withDefaults(options);
+    const output = await normalize(filePath, ext, measured, options, { sampleRate, signal });
+    return { ...record, target: target.target, targetTruePeak: target.truePeak, output };
+  }
+
+  const track = gainFor(measured);
+  const albumGain = album ? gainFor(album) : undefined;
+  // WAV has nowhere standard to keep the tags; still report the values
+  if (ext !== 'wav') await writeGainTags(filePath, ext, { track, album: albumGain }, { signal });
+
+  return {
+    ...record,
+    trackGain: track.gain,
+    trackPeak: track.peak,
+    albumGain: albumGain && albumGain.gain,
+    albumPeak: albumGain && albumGain.peak
+  };
+}
+
+module.exports = { MODES, parseLoudnessOptions, measure, normalize, writeGainTags, processLoudness };
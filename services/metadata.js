@@ -0,0 +1,47 @@
+/**
+ * Maps yt-dlp's info JSON onto Download fields.
+ */
+
+// "20240824" -> Date
+const parseUploadDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : undefined;
+};
+
+const mapThumbnails = (thumbnails = []) =>
+  thumbnails
+    .filter((thumb) => thumb.url)
+    .map((thumb) => ({ url: thumb.url, width: thumb.width, height: thumb.height }));
+
+const mapChapters = (chapters = []) =>
+  chapters.map((chapter) => ({
+    title: chapter.title,
+    startTime: chapter.start_time,
+    endTime: chapter.end_time
+  }));
+
+function fromInfo(info) {
+  return {
+    title: info.title || info.fulltitle,
+    uploader: info.uploader,
+    uploaderId: info.uploader_id,
+    channel: info.channel || info.uploader,
+    channelId: info.channel_id,
+    channelUrl: info.channel_url || info.uploader_url,
+    uploadDate: parseUploadDate(info.upload_date),
+    duration: info.duration,
+    description: info.description,
+    sourceId: info.id,
+    extractor: info.extractor_key || info.extractor,
+    webpageUrl: info.webpage_url,
+    thumbnail: info.thumbnail,
+    thumbnails: mapThumbnails(info.thumbnails),
+    tags: info.tags || [],
+    categories: info.categories || [],
+    viewCount: info.view_count,
+    likeCount: info.like_count,
+    chapters: mapChapters(info.chapters || [])
+  };
+}
+
+module.exports = { fromInfo };
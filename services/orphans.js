@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const Download = require('../models/Download');
+const Job = require('../models/Job');
+
+/**
+ * Startup sweep of DOWNLOAD_DIR for files a stopped server left behind:
+ * yt-dlp output (.part, .ytdl, fragments, info JSON, finished files whose
+ * record was never written) and the scratch files post-processing renames
+ * into place. Run before the queue starts; files changed since this process
+ * started are left alone, since requests (library deletes) are served while
+ * the sweep runs.
+ */
+
+// The downloader names everything it writes video_<job id>... (older
+// releases used video_<timestamp>)
+const DOWNLOADER_OUTPUT = /^video_[0-9a-f]+/;
+// Post-processing writes .<step>-<file> and renames it over <file>
+const SCRATCH = /^\.(tagging|normalizing|gain|fading)-/;
+// Local storage copies land on <file>.<pid>.tmp first
+const STORAGE_TEMP = /\.\d+\.tmp$/;
+// Library deletes move the file aside to .deleting-<file> first
+const TRASH_PREFIX = '.deleting-';
+
+// Names of files last touched before `time` (ctime, which renames bump too)
+async function untouchedSince(names, time) {
+  const stats = await Promise.all(
+    names.map((name) => fs.promises.stat(path.join(config.DOWNLOAD_DIR, name)).catch(() => null))
+  );
+  return names.filter((name, index) => stats[index] && stats[index].ctimeMs < time);
+}
+
+// File names the library still points at
+async function libraryFiles(names) {
+  return new Set(await Download.find({ fileName: { $in: names } }).distinct('fileName'));
+}
+
+// Output name prefixes of jobs that will run (again) and resume their files
+async function unfinishedOutputs() {
+  const jobs = await Job.find({
+    status: { $nin: Job.FINISHED_STATUSES },
+    outputBase: { $type: 'string' }
+  }).distinct('outputBase');
+  return jobs.flatMap((base) => [`${base}.`, `${base}_`]);
+}
+
+/**
+ * Removes orphaned temporary and partial files. Returns how many went.
+ */
+async function removeOrphans() {
+  const processStart = Date.now() - process.uptime() * 1000;
+  let names;
+  try {
+    names = (await fs.promises.readdir(config.DOWNLOAD_DIR, { withFileTypes: true }))
+      .filter((entry) => entry.isFile())
+      .map((entry) => entry.name);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  const referenced = await libraryFiles(names.filter((name) => DOWNLOADER_OUTPUT.test(name)));
+  const trashed = names.filter((name) => name.startsWith(TRASH_PREFIX)).map((name) => name.slice(TRASH_PREFIX.length));
+  const stillListed = await libraryFiles(trashed);
+  const resumable = await unfinishedOutputs();
+
+  const orphans = [];
+  for (const name of await untouchedSince(names, processStart)) {
+    if (name.startsWith(TRASH_PREFIX)) {
+      const original = name.slice(TRASH_PREFIX.length);
+      // The record delete never happened: put the file back
+      if (stillListed.has(original) && !names.includes(original)) {
+        await fs.promises.rename(path.join(config.DOWNLOAD_DIR, name), path.join(config.DOWNLOAD_DIR, original));
+        console.log(`↩️ Restored ${original}, its delete did not finish`);
+      } else {
+        orphans.push(name);
+      }
+    } else if (SCRATCH.test(name) || STORAGE_TEMP.test(name)) {
+      orphans.push(name);
+    } else if (DOWNLOADER_OUTPUT.test(name) && !referenced.has(name)) {
+      if (!resumable.some((prefix) => name.startsWith(prefix))) orphans.push(name);
+    }
+  }
+
+  await Promise.all(orphans.map((name) => fs.promises.rm(path.join(config.DOWNLOAD_DIR, name), { force: true })));
+  if (orphans.length) console.log(`🧹 Removed ${orphans.length} orphaned file(s) from ${config.DOWNLOAD_DIR}`);
+  return orphans.length;
+}
+
+module.exports = { removeOrphans };
@@ -0,0 +1,320 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config');
+const Download = require('../models/Download');
+const { ValidationError } = require('../errors');
+const { escapeRegex } = require('./downloadQuery');
+const { escapeXml } = require('./feeds');
+const { normalizeUrl } = require('./ytdlp');
+
+/**
+ * Playlist file formats: M3U8, PLS and XSPF export with absolute /stream
+ * URLs, and import that maps entries back onto library downloads.
+ */
+
+const FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl', extension: 'm3u8' },
+  pls: { contentType: 'audio/x-scpls', extension: 'pls' },
+  xspf: { contentType: 'application/xspf+xml', extension: 'xspf' }
+};
+
+const MAX_ITEMS = 5000;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+// `accessToken` lets players that can't log in fetch the stream
+const streamUrl = (download, accessToken) =>
+  `${config.PUBLIC_URL}/stream/${download._id}${accessToken ? `?access_token=${accessToken}` : ''}`;
+
+const unescapeXml = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// Playlist files want "Artist - Title" where we know the artist
+const displayTitle = (download) => {
+  const tags = download.audioTags || {};
+  const title = tags.title || download.title;
+  const artist = tags.artist || download.uploader;
+  return artist ? `${artist} - ${title}` : title;
+};
+
+// M3U and PLS are one entry per line; a line break in a name would start a new one
+const oneLine = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+// Seconds as playlists expect them; -1 means unknown in M3U and PLS
+const lengthOf = (download) => (download.duration ? Math.round(download.duration) : -1);
+
+function toM3u8(playlist, downloads, accessToken) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${oneLine(playlist.name)}`];
+  downloads.forEach((download) => {
+    lines.push(`#EXTINF:${lengthOf(download)},${oneLine(displayTitle(download))}`, streamUrl(download, accessToken));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function toPls(playlist, downloads, accessToken) {
+  const lines = ['[playlist]'];
+  downloads.forEach((download, i) => {
+    const n = i + 1;
+    lines.push(
+      `File${n}=${streamUrl(download, accessToken)}`,
+      `Title${n}=${oneLine(displayTitle(download))}`,
+      `Length${n}=${lengthOf(download)}`
+    );
+  });
+  lines.push(`NumberOfEntries=${downloads.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+}
+
+function toXspf(playlist, downloads, accessToken) {
+  const tracks = downloads.map((download) => {
+    const tags = download.audioTags || {};
+    const fields = [
+      `      <location>${escapeXml(streamUrl(download, accessToken))}</location>`,
+      `      <identifier>${escapeXml(`${config.PUBLIC_URL}/downloads/${download._id}`)}</identifier>`,
+      `      <title>${escapeXml(tags.title || download.title)}</title>`
+    ];
+    const creator = tags.artist || download.uploader;
+    if (creator) fields.push(`      <creator>${escapeXml(creator)}</creator>`);
+    if (tags.album) fields.push(`      <album>${escapeXml(tags.album)}</album>`);
+    if (download.duration) fields.push(`      <duration>${Math.round(download.duration * 1000)}</duration>`);
+    if (download.thumbnail) fields.push(`      <image>${escapeXml(download.thumbnail)}</image>`);
+    if (download.webpageUrl) fields.push(`      <info>${escapeXml(download.webpageUrl)}</info>`);
+    return ['    <track>', ...fields, '    </track>'].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(playlist.name)}</title>`,
+    playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>` : null,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+const SERIALIZERS = { m3u8: toM3u8, pls: toPls, xspf: toXspf };
+
+/**
+ * Renders a playlist (with its downloads in order) in one of FORMATS.
+ */
+function exportPlaylist(playlist, downloads, format, { accessToken } = {}) {
+  return SERIALIZERS[format](playlist, downloads, accessToken);
+}
+
+function parseM3u(content) {
+  const entries = [];
+  let title = null;
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    if (line.startsWith('#EXTINF:')) {
+      const comma = line.indexOf(',');
+      title = comma === -1 ? null : line.slice(comma + 1).trim();
+    } else if (!line.startsWith('#')) {
+      entries.push({ location: line, title });
+      title = null;
+    }
+  });
+  return entries;
+}
+
+function parsePls(content) {
+  const byIndex = new Map();
+  content.split(/\r?\n/).forEach((line) => {
+    const match = /^\s*(File|Title)(\d+)\s*=\s*(.*?)\s*$/i.exec(line);
+    if (!match) return;
+    const entry = byIndex.get(match[2]) || { location: null, title: null };
+    entry[match[1].toLowerCase() === 'file' ? 'location' : 'title'] = match[3];
+    byIndex.set(match[2], entry);
+  });
+  return [...byIndex.entries()]
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, entry]) => entry)
+    .filter((entry) => entry.location || entry.title);
+}
+
+// XSPF is simple enough that a tag scan avoids pulling in an XML parser
+function parseXspf(content) {
+  const tag = (block, name) => {
+    const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(block);
+    return match ? unescapeXml(match[1].trim()) : null;
+  };
+  return [...content.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/g)].map(([, block]) => ({
+    location: tag(block, 'location'),
+    title: tag(block, 'title'),
+    creator: tag(block, 'creator')
+  }));
+}
+
+// Sniffs the format when the client didn't say
+function detectFormat(content) {
+  const head = content.trimStart().slice(0, 200);
+  if (/^<\?xml|<playlist/i.test(head)) return 'xspf';
+  if (/^\[playlist\]/i.test(head)) return 'pls';
+  return 'm3u8';
+}
+
+const PARSERS = { m3u8: parseM3u, pls: parsePls, xspf: parseXspf };
+
+/**
+ * Validates an import request ({ name, format?, content }) and returns
+ * `{ name, description, format, entries }`.
+ */
+function parseImport(body) {
+  const errors = [];
+  const { name, description, content } = body;
+  let { format } = body;
+
+  if (typeof content !== 'string' || !content.trim()) errors.push('content must be the playlist file as a string');
+  else if (Buffer.byteLength(content) > MAX_IMPORT_BYTES) errors.push('content is too large');
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) errors.push('name must be a non-empty string');
+  if (description !== undefined && typeof description !== 'string') errors.push('description must be a string');
+  if (format !== undefined && !Object.hasOwn(FORMATS, format)) errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  if (errors.length) throw new ValidationError('Invalid playlist import', errors);
+
+  format = format || detectFormat(content);
+  const entries = PARSERS[format](content);
+  if (entries.length > MAX_ITEMS) {
+    throw new ValidationError('Invalid playlist import', [`a playlist can hold at most ${MAX_ITEMS} items`]);
+  }
+
+  // The playlist's own <title> comes before the track list
+  const xspfTitle = format === 'xspf' ? /<title>([\s\S]*?)<\/title>/.exec(content.split('<trackList')[0]) : null;
+  const m3uTitle = format === 'm3u8' ? /^#PLAYLIST:(.+)$/m.exec(content) : null;
+  const detectedName = (xspfTitle && unescapeXml(xspfTitle[1].trim())) || (m3uTitle && m3uTitle[1].trim());
+
+  return {
+    name: (name && name.trim()) || detectedName || 'Imported playlist',
+    description,
+    format,
+    entries
+  };
+}
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Source URLs are stored normalized; anything normalizeUrl rejects can't be in the library anyway
+const normalizedOrSame = (url) => {
+  try {
+    return normalizeUrl(url);
+  } catch {
+    return url;
+  }
+};
+
+// Download id or file name when the location points back at this server
+function ownReference(location) {
+  const base = config.PUBLIC_URL.replace(/^https?:/, '');
+  const match = new RegExp(`^(?:https?:)?${escapeRegex(base)}/(stream|downloads)/([^?#]+)`).exec(location);
+  if (!match) return null;
+  const value = safeDecode(match[2]);
+  return /^[0-9a-f]{24}$/i.test(value) ? { id: value } : { fileName: value };
+}
+
+// Title matching can't use an index, so only this many distinct titles are looked up
+const MAX_TITLE_LOOKUPS = 500;
+
+// Where each entry could be found, best guess first, as [field, value] pairs
+function entryKeys(entry) {
+  const location = entry.location || '';
+  const own = location ? ownReference(location) : null;
+  const keys = [];
+
+  if (own && own.id) keys.push(['_id', own.id.toLowerCase()]);
+  if (own && own.fileName) keys.push(['fileName', own.fileName]);
+  if (location && !own) {
+    if (/^https?:\/\//i.test(location)) {
+      const url = normalizedOrSame(location);
+      [location, url].forEach((value) => keys.push(['url', value]));
+      [location, url].forEach((value) => keys.push(['webpageUrl', value]));
+    } else {
+      const filePath = location.replace(/^file:\/\//i, '');
+      keys.push(['filePath', filePath], ['fileName', path.basename(safeDecode(filePath))]);
+    }
+  }
+  if (entry.title) {
+    keys.push(['title', entry.title.toLowerCase()]);
+    const dash = entry.title.indexOf(' - ');
+    if (dash !== -1) keys.push(['title', entry.title.slice(dash + 3).toLowerCase()]);
+  }
+  return keys;
+}
+
+/**
+ * Maps imported entries onto library downloads, trying in turn: a link to
+ * this server, the file path (or just its name), the source URL, then an
+ * exact case-insensitive title (with or without an "Artist - " prefix),
+ * among the downloads `visible` (a Download filter) allows.
+ * Returns `{ matched: [downloadId], unmatched: [entry] }` in entry order.
+ */
+async function matchEntries(entries, visible = {}) {
+  const entryKeyLists = entries.map(entryKeys);
+  const wanted = {};
+  entryKeyLists.flat().forEach(([field, value]) => {
+    if (field === '_id' && !mongoose.isValidObjectId(value)) return;
+    (wanted[field] = wanted[field] || new Set()).add(value);
+  });
+
+  // field -> value -> download id; one query per kind of key
+  const found = {};
+  const remember = (field, value, id) => {
+    found[field] = found[field] || new Map();
+    if (!found[field].has(value)) found[field].set(value, id);
+  };
+
+  for (const field of ['_id', 'fileName', 'filePath', 'url', 'webpageUrl']) {
+    if (!wanted[field]) continue;
+    const downloads = await Download.find({ $and: [{ [field]: { $in: [...wanted[field]] } }, visible] })
+      .select(field)
+      .lean();
+    downloads.forEach((download) => remember(field, String(download[field]), download._id));
+  }
+
+  if (wanted.title) {
+    const titles = [...wanted.title].slice(0, MAX_TITLE_LOOKUPS);
+    // Strength 2 compares case-insensitively
+    const downloads = await Download.find({
+      $and: [{ $or: [{ title: { $in: titles } }, { 'audioTags.title': { $in: titles } }] }, visible]
+    })
+      .collation({ locale: 'en', strength: 2 })
+      .select('title audioTags.title')
+      .lean();
+    downloads.forEach((download) => {
+      if (download.title) remember('title', download.title.toLowerCase(), download._id);
+    });
+    downloads.forEach((download) => {
+      const tagTitle = download.audioTags && download.audioTags.title;
+      if (tagTitle) remember('title', tagTitle.toLowerCase(), download._id);
+    });
+  }
+
+  const matched = [];
+  const unmatched = [];
+  entries.forEach((entry, index) => {
+    const key = entryKeyLists[index].find(([field, value]) => found[field] && found[field].has(value));
+    if (key) matched.push(found[key[0]].get(key[1]));
+    else unmatched.push(entry);
+  });
+
+  return { matched, unmatched };
+}
+
+module.exports = { FORMATS, MAX_ITEMS, exportPlaylist, parseImport, matchEntries };
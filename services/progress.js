@@ -0,0 +1,107 @@
+/**
+ * Turns yt-dlp console output into structured progress events.
+ *
+ * Downloads are started with PROGRESS_ARGS so each progress tick arrives as a
+ * single machine readable line; the bracketed step prefixes yt-dlp prints
+ * ("[ExtractAudio]", "[Merger]", ...) tell us which phase we are in.
+ */
+
+const PROGRESS_MARKER = '[progress]';
+
+const PROGRESS_ARGS = [
+  '--newline',
+  '--progress',
+  '--progress-template',
+  `download:${PROGRESS_MARKER} %(progress.status)s %(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s %(progress.speed)s %(progress.eta)s`
+];
+
+// yt-dlp step prefix -> phase reported to clients
+const PHASES = [
+  [/^\[download\] Destination:/, 'downloading'],
+  [/^\[ExtractAudio\]/, 'extracting audio'],
+  [/^\[Merger\]/, 'merging'],
+  [/^\[(Fixup\w*|Metadata|EmbedThumbnail|ffmpeg|VideoConvertor|VideoRemuxer|ModifyChapters|SplitChapters)\]/, 'post-processing'],
+  [/^\[(info|youtube[^\]]*|generic|soundcloud|vimeo|bandcamp)\]/i, 'extracting info']
+];
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value === undefined || value === 'NA' || Number.isNaN(n) ? null : n;
+};
+
+// Fallback for the default "[download]  42.0% of ~ 3.50MiB at 1.20MiB/s ETA 00:02" line
+const UNITS = { B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, KB: 1e3, MB: 1e6, GB: 1e9 };
+const DEFAULT_LINE = /^\[download\]\s+([\d.]+)%\s+of\s+~?\s*([\d.]+)(\w+)(?:\s+at\s+([\d.]+)(\w+)\/s)?(?:\s+ETA\s+([\d:]+))?/;
+
+const parseSize = (value, unit) => (UNITS[unit] ? Math.round(parseFloat(value) * UNITS[unit]) : null);
+
+const parseClock = (value) =>
+  value ? value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) : null;
+
+/**
+ * Parses one output line. Returns a progress object, `{ phase }` for a step
+ * change, or null when the line carries nothing useful.
+ */
+function parseLine(line) {
+  const text = line.trim();
+  if (!text) return null;
+
+  if (text.startsWith(PROGRESS_MARKER)) {
+    const [status, downloaded, total, estimate, speed, eta] = text
+      .slice(PROGRESS_MARKER.length)
+      .trim()
+      .split(/\s+/);
+    const downloadedBytes = toNumber(downloaded);
+    const totalBytes = toNumber(total) ?? toNumber(estimate);
+    return {
+      phase: 'downloading',
+      percent:
+        status === 'finished'
+          ? 100
+          : downloadedBytes !== null && totalBytes
+            ? Math.min(100, Math.round((downloadedBytes / totalBytes) * 1000) / 10)
+            : null,
+      downloadedBytes,
+      totalBytes,
+      speed: toNumber(speed),
+      eta: toNumber(eta)
+    };
+  }
+
+  const legacy = DEFAULT_LINE.exec(text);
+  if (legacy) {
+    const totalBytes = parseSize(legacy[2], legacy[3]);
+    const percent = parseFloat(legacy[1]);
+    return {
+      phase: 'downloading',
+      percent,
+      downloadedBytes: totalBytes ? Math.round((totalBytes * percent) / 100) : null,
+      totalBytes,
+      speed: legacy[4] ? parseSize(legacy[4], legacy[5]) : null,
+      eta: parseClock(legacy[6])
+    };
+  }
+
+  const match = PHASES.find(([pattern]) => pattern.test(text));
+  return match ? { phase: match[1] } : null;
+}
+
+/**
+ * Calls onLine for every complete line written to a stream. yt-dlp may use
+ * carriage returns to redraw the same line, so those split too.
+ */
+function readLines(stream, onLine) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  });
+  stream.on('end', () => {
+    if (buffer) onLine(buffer);
+  });
+}
+
+module.exports = { PROGRESS_ARGS, parseLine, readLines };
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Download = require('../models/Download');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { QuotaError } = require('../errors');
+
+/**
+ * Per-user quotas: stored bytes, downloads per rolling 24 hours, and the
+ * longest / largest single file. Limits come from the role (config.QUOTAS)
+ * with the user's own overrides on top; null means unlimited.
+ */
+
+const LIMITS = ['storageBytes', 'downloadsPerDay', 'maxDurationSeconds', 'maxFileBytes'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Jobs that produced nothing don't count against the daily allowance
+const UNCOUNTED_STATUSES = ['failed', 'skipped', 'cancelled'];
+
+/**
+ * Job filter for the downloads counted against today's allowance. Those
+ * jobs must outlive the window, so DELETE /jobs leaves them alone.
+ */
+const countedToday = () => ({
+  kind: 'download',
+  createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+  status: { $nin: UNCOUNTED_STATUSES }
+});
+
+// yt-dlp style sizes ("500M", "4G") in bytes
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i.exec(String(value).trim());
+  if (!match) return null;
+  const power = ' kmgt'.indexOf(match[2].toLowerCase() || ' ');
+  return Math.round(parseFloat(match[1]) * 1024 ** power);
+}
+
+function limitsFor(user) {
+  const roleLimits = config.QUOTAS[user.role] || {};
+  const overrides = (user.quota && user.quota.toObject ? user.quota.toObject() : user.quota) || {};
+  return Object.fromEntries(
+    LIMITS.map((key) => {
+      const value = overrides[key] !== undefined && overrides[key] !== null ? overrides[key] : roleLimits[key];
+      return [key, value === undefined ? null : value];
+    })
+  );
+}
+
+async function usageFor(userId) {
+  const owner = new mongoose.Types.ObjectId(String(userId));
+  const [stored] = await Download.aggregate([
+    { $match: { owner } },
+    { $group: { _id: null, bytes: { $sum: '$fileSize' }, files: { $sum: 1 } } }
+  ]);
+  const downloadsToday = await Job.countDocuments({ owner, ...countedToday() });
+  return { storageBytes: stored ? stored.bytes : 0, files: stored ? stored.files : 0, downloadsToday };
+}
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+/**
+ * Limits, usage and what is left, as served by GET /me/usage.
+ */
+async function report(user) {
+  const limits = limitsFor(user);
+  const usage = await usageFor(user._id);
+  return {
+    limits,
+    usage,
+    remaining: {
+      storageBytes: remaining(limits.storageBytes, usage.storageBytes),
+      downloadsToday: remaining(limits.downloadsPerDay, usage.downloadsToday)
+    }
+  };
+}
+
+function storageFull(limits, usage, extraBytes = 0) {
+  return limits.storageBytes !== null && usage.storageBytes + extraBytes > limits.storageBytes;
+}
+
+const storageError = (limits, usage) =>
+  new QuotaError(413, 'QUOTA_STORAGE', 'Storage quota reached; delete some downloads first', {
+    limit: limits.storageBytes,
+    used: usage.storageBytes
+  });
+
+/**
+ * Checked by POST /download before anything is queued: the daily allowance
+ * (for `count` new downloads) and whether there is any storage left.
+ */
+async function checkCanQueue(user, count = 1) {
+  const limits = limitsFor(user);
+  const usage = await usageFor(user._id);
+
+  if (limits.downloadsPerDay !== null && usage.downloadsToday + count > limits.downloadsPerDay) {
+    throw new QuotaError(429, 'QUOTA_DAILY_DOWNLOADS', 'Daily download quota reached', {
+      limit: limits.downloadsPerDay,
+      used: usage.downloadsToday,
+      // The oldest counted job leaves the 24 hour window first
+      retryAfterSeconds: await secondsUntilSlot(user._id)
+    });
+  }
+  if (storageFull(limits, usage)) throw storageError(limits, usage);
+}
+
+async function secondsUntilSlot(userId) {
+  const oldest = await Job.findOne({ owner: userId, ...countedToday() })
+    .sort({ createdAt: 1 })
+    .select('createdAt')
+    .lean();
+  return oldest ? Math.max(0, Math.ceil((oldest.createdAt.getTime() + DAY_MS - Date.now()) / 1000)) : 0;
+}
+
+/**
+ * How many more downloads the owner may queue today (Infinity when
+ * unlimited or there is no owner). Used to cap batch expansion.
+ */
+async function downloadsLeft(ownerId) {
+  const user = ownerId && (await User.findById(ownerId));
+  if (!user) return Infinity;
+  const { downloadsPerDay } = limitsFor(user);
+  if (downloadsPerDay === null) return Infinity;
+  return Math.max(0, downloadsPerDay - (await usageFor(user._id)).downloadsToday);
+}
+
+/**
+ * Quota state for a running download job: the owner's limits and usage, or
+ * null for jobs without an owner (unlimited).
+ */
+async function forJob(job) {
+  const user = job.owner && (await User.findById(job.owner));
+  if (!user) return null;
+  return { limits: limitsFor(user), usage: await usageFor(user._id) };
+}
+
+/**
+ * Preflight from the extracted metadata, before yt-dlp downloads anything.
+ * `estimatedBytes` may be unknown (null).
+ */
+function checkPreflight(quota, { duration, estimatedBytes }) {
+  if (!quota) return;
+  const { limits, usage } = quota;
+
+  if (limits.maxDurationSeconds !== null && duration && duration > limits.maxDurationSeconds) {
+    throw new QuotaError(413, 'QUOTA_DURATION', 'Media is longer than your quota allows', {
+      limit: limits.maxDurationSeconds,
+      duration
+    });
+  }
+  if (limits.maxFileBytes !== null && estimatedBytes && estimatedBytes > limits.maxFileBytes) {
+    throw new QuotaError(413, 'QUOTA_FILE_SIZE', 'File would be larger than your quota allows', {
+      limit: limits.maxFileBytes,
+      estimatedBytes
+    });
+  }
+  if (storageFull(limits, usage, estimatedBytes || 0)) {
+    throw new QuotaError(413, 'QUOTA_STORAGE', 'Not enough storage quota left for this download', {
+      limit: limits.storageBytes,
+      used: usage.storageBytes,
+      estimatedBytes
+    });
+  }
+}
+
+/**
+ * Value for yt-dlp's --max-filesize: the global cap, or the user's file size
+ * or remaining storage limit when smaller, so oversized downloads stop early.
+ */
+function maxFilesize(quota) {
+  const globalCap = parseSize(config.YTDLP_MAX_FILESIZE);
+  if (!quota) return config.YTDLP_MAX_FILESIZE;
+
+  const { limits, usage } = quota;
+  const caps = [globalCap, limits.maxFileBytes, remaining(limits.storageBytes, usage.storageBytes)].filter(
+    (cap) => cap !== null && cap !== undefined
+  );
+  if (!caps.length) return config.YTDLP_MAX_FILESIZE;
+  const cap = Math.min(...caps);
+  return cap === globalCap ? config.YTDLP_MAX_FILESIZE : String(cap);
+}
+
+/**
+ * After the download: checks the real sizes of the produced files. Throws
+ * (and the caller removes the files) when they break a limit.
+ */
+function checkStored(quota, fileSizes) {
+  if (!quota) return;
+  const { limits, usage } = quota;
+  const largest = Math.max(0, ...fileSizes);
+  const total = fileSizes.reduce((sum, size) => sum + size, 0);
+
+  if (limits.maxFileBytes !== null && largest > limits.maxFileBytes) {
+    throw new QuotaError(413, 'QUOTA_FILE_SIZE', 'Downloaded file is larger than your quota allows', {
+      limit: limits.maxFileBytes,
+      fileSize: largest
+    });
+  }
+  if (storageFull(limits, usage, total)) {
+    throw new QuotaError(413, 'QUOTA_STORAGE', 'Download would exceed your storage quota', {
+      limit: limits.storageBytes,
+      used: usage.storageBytes,
+      fileSize: total
+    });
+  }
+}
+
+/**
+ * Validates a quota override body for PATCH /users/:id: each limit is a
+ * non-negative number, or null to fall back to the role's.
+ */
+function parseQuota(value, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push('quota must be an object');
+    return null;
+  }
+  const quota = {};
+  Object.entries(value).forEach(([key, limit]) => {
+    if (!LIMITS.includes(key)) {
+      errors.push(`quota.${key} is not a quota (${LIMITS.join(', ')})`);
+    } else if (limit !== null && (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0)) {
+      errors.push(`quota.${key} must be a non-negative number or null`);
+    } else {
+      quota[key] = limit;
+    }
+  });
+  return quota;
+}
+
+module.exports = {
+  LIMITS,
+  parseSize,
+  limitsFor,
+  usageFor,
+  report,
+  checkCanQueue,
+  downloadsLeft,
+  countedToday,
+  forJob,
+  checkPreflight,
+  maxFilesize,
+  checkStored,
+  parseQuota
+};
@@ -0,0 +1,106 @@
+const { ValidationError } = require('../errors');
+
+/**
+ * Cron-style schedules for subscriptions: the five standard fields
+ * (minute hour day-of-month month day-of-week, in server local time) with
+ * `*`, lists, ranges and steps, or one of the @hourly/@daily/@weekly/@monthly
+ * shorthands. As in cron, when both day fields are restricted a day matching
+ * either one counts.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Searching further than this means the expression can never match (e.g. Feb 30)
+const MAX_SEARCH_DAYS = 5 * 366;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`invalid ${name} "${part}"`);
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    // "5/15" runs from 5 to the end of the range
+    const end = range === '*' || (step && to === undefined) ? max : Number(to ?? from);
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max) throw new Error(`${name} must be within ${min}-${max}`);
+    if (start > end || increment < 1) throw new Error(`invalid ${name} "${part}"`);
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses an expression into `{ minutes, hours, days, months, weekdays,
+ * anyDay, anyWeekday }`; throws a ValidationError naming the problem.
+ */
+function parse(expression) {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError('Invalid schedule', [
+      'schedule must have 5 fields (minute hour day month weekday) or be @hourly, @daily, @weekly, @monthly'
+    ]);
+  }
+
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+  } catch (err) {
+    throw new ValidationError('Invalid schedule', [err.message]);
+  }
+}
+
+function dayMatches(cron, date) {
+  const byDay = cron.days.has(date.getDate());
+  const byWeekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return byDay && byWeekday;
+  return byDay || byWeekday;
+}
+
+/**
+ * First time strictly after `from` that `expression` matches, or null when
+ * it never does.
+ */
+function nextRun(expression, from = new Date()) {
+  const cron = parse(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  // Skips whole months, days and hours that can't match, so this stays quick
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = { parse, nextRun };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const Download = require('../../models/Download');
+const { HttpError } = require('../../errors');
+const { mimeTypeFor } = require('../feeds');
+
+/**
+ * Where finished files are kept. Jobs always work on local files in
+ * DOWNLOAD_DIR; `persist` then hands the result to the configured driver
+ * (STORAGE_DRIVER) and records `storageDriver` + `storageKey` on the
+ * download. Every driver exposes put, createReadStream, stat, remove,
+ * inputFor (something ffmpeg can open) and send (answer an HTTP request).
+ */
+
+const DRIVERS = {
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+function driver(name) {
+  if (!DRIVERS[name]) throw new Error(`Unknown storage driver "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  return DRIVERS[name]();
+}
+
+// Fail at startup rather than on the first finished download
+driver(config.STORAGE_DRIVER);
+if (config.STORAGE_DRIVER === 's3' && !config.S3_BUCKET) throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+
+// New objects are keyed by file name, which is unique within the library
+const keyFor = (download) => download.fileName;
+
+/**
+ * `{ driver, key }` for a download's file, or null when it has none.
+ * Records from before storage drivers are local files at `filePath`.
+ */
+function locate(download) {
+  if (download.storageKey) return { driver: driver(download.storageDriver || 'local'), key: download.storageKey };
+  if (download.filePath) return { driver: driver('local'), key: path.relative(config.DOWNLOAD_DIR, download.filePath) };
+  return null;
+}
+
+const isLocal = (download) => {
+  const location = locate(download);
+  return !location || location.driver.name === 'local';
+};
+
+async function exists(download) {
+  const location = locate(download);
+  return Boolean(location) && Boolean(await location.driver.stat(location.key));
+}
+
+/**
+ * Like locate, but answers 410 when the file is gone.
+ */
+async function locateFile(download) {
+  const location = locate(download);
+  if (!location || !(await location.driver.stat(location.key))) {
+    throw new HttpError(410, 'File is no longer in storage', { code: 'FILE_MISSING' });
+  }
+  return location;
+}
+
+/**
+ * Serves the file: byte ranges for local files, and for object storage a
+ * proxied stream or a redirect to a presigned URL (STORAGE_SERVE_MODE).
+ */
+async function send(req, res, download) {
+  const { driver: store, key } = await locateFile(download);
+  return store.send(req, res, key, { contentType: mimeTypeFor(download.fileName) });
+}
+
+/**
+ * A path or URL ffmpeg can read the file from.
+ */
+async function inputFor(download) {
+  const { driver: store, key } = await locateFile(download);
+  return store.inputFor(key);
+}
+
+/**
+ * Moves a freshly processed download into the configured storage. Local
+ * storage only records the key; other drivers upload the file and the
+ * local copy is removed once the record points at the object.
+ */
+async function persist(download) {
+  const store = driver(config.STORAGE_DRIVER);
+  const key = keyFor(download);
+
+  if (store.name === 'local') {
+    download.storageDriver = 'local';
+    download.storageKey = path.relative(config.DOWNLOAD_DIR, download.filePath);
+    return download.save();
+  }
+
+  const localFile = download.filePath;
+  await store.put(key, fs.createReadStream(localFile), { contentType: mimeTypeFor(download.fileName) });
+  download.storageDriver = store.name;
+  download.storageKey = key;
+  download.filePath = undefined;
+  try {
+    await download.save();
+  } catch (err) {
+    await store.remove(key).catch((removeErr) => console.error('Storage cleanup error:', removeErr.message));
+    throw err;
+  }
+  fs.rmSync(localFile, { force: true });
+  return download;
+}
+
+/**
+ * Deletes the stored file (a no-op when it is already gone).
+ */
+async function remove(download) {
+  const location = locate(download);
+  if (location) await location.driver.remove(location.key);
+}
+
+/**
+ * Copies a download's file to another driver, verifies the size, points the
+ * record at the copy and only then removes the original. Returns false when
+ * the file already lives there.
+ */
+async function migrate(download, targetName) {
+  const source = await locateFile(download);
+  const target = driver(targetName);
+  if (source.driver.name === target.name) return false;
+
+  const { size } = await source.driver.stat(source.key);
+  const key = keyFor(download);
+  await target.put(key, await source.driver.createReadStream(source.key), {
+    contentType: mimeTypeFor(download.fileName)
+  });
+
+  const copied = await target.stat(key);
+  const update =
+    target.name === 'local'
+      ? { $set: { storageDriver: target.name, storageKey: key, filePath: target.localPath(key) } }
+      : { $set: { storageDriver: target.name, storageKey: key }, $unset: { filePath: 1 } };
+  try {
+    if (!copied || copied.size !== size) throw new Error(`Copy is ${copied ? copied.size : 0} of ${size} bytes`);
+    await Download.updateOne({ _id: download._id }, update);
+  } catch (err) {
+    await target.remove(key).catch((removeErr) => console.error('Storage cleanup error:', removeErr.message));
+    throw err;
+  }
+
+  await source.driver.remove(source.key);
+  return true;
+}
+
+module.exports = { driver, locate, isLocal, exists, locateFile, send, inputFor, persist, remove, migrate };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../../config');
+
+/**
+ * Local filesystem driver: keys are paths relative to DOWNLOAD_DIR.
+ */
+
+const name = 'local';
+
+const localPath = (key) => path.resolve(config.DOWNLOAD_DIR, key);
+
+// Written to a temp name and renamed, so a failed copy never looks like a file
+async function put(key, body) {
+  const target = localPath(key);
+  const tmpPath = `${target}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  try {
+    await pipeline(body, fs.createWriteStream(tmpPath));
+    fs.renameSync(tmpPath, target);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+const createReadStream = async (key) => fs.createReadStream(localPath(key));
+
+// { size } or null when there is no such file
+async function stat(key) {
+  try {
+    return { size: (await fs.promises.stat(localPath(key))).size };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+const remove = async (key) => fs.promises.rm(localPath(key), { force: true });
+
+// What ffmpeg should open
+const inputFor = async (key) => localPath(key);
+
+// send handles Range/If-Range and 206/416 responses
+function send(req, res, key) {
+  res.sendFile(localPath(key), { acceptRanges: true });
+}
+
+module.exports = { name, localPath, put, createReadStream, stat, remove, inputFor, send };
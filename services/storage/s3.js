@@ -0,0 +1,127 @@
+const { pipeline } = require('stream/promises');
+const config = require('../../config');
+
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, R2, ...). Keys are
+ * stored under S3_PREFIX in S3_BUCKET.
+ */
+
+const name = 's3';
+
+// Presigned URLs handed to ffmpeg have to outlive a long packaging run
+const PROCESSING_URL_SECONDS = 6 * 60 * 60;
+
+let sdk;
+let client;
+
+// The SDK is only loaded by deployments that use this driver
+function s3() {
+  if (!client) {
+    sdk = require('@aws-sdk/client-s3');
+    const credentials =
+      config.S3_ACCESS_KEY_ID && config.S3_SECRET_ACCESS_KEY
+        ? { accessKeyId: config.S3_ACCESS_KEY_ID, secretAccessKey: config.S3_SECRET_ACCESS_KEY }
+        : undefined;
+    client = new sdk.S3Client({
+      region: config.S3_REGION,
+      endpoint: config.S3_ENDPOINT || undefined,
+      forcePathStyle: config.S3_FORCE_PATH_STYLE,
+      // Falls back to the SDK's own chain (env, profile, instance role)
+      credentials
+    });
+  }
+  return client;
+}
+
+const objectParams = (key) => ({ Bucket: config.S3_BUCKET, Key: `${config.S3_PREFIX}${key}` });
+
+const statusOf = (err) => (err.$metadata ? err.$metadata.httpStatusCode : undefined);
+
+// Multipart upload, so bodies of unknown length stream straight through
+async function put(key, body, { contentType } = {}) {
+  s3();
+  const { Upload } = require('@aws-sdk/lib-storage');
+  await new Upload({ client, params: { ...objectParams(key), Body: body, ContentType: contentType } }).done();
+}
+
+async function createReadStream(key) {
+  const object = await s3().send(new sdk.GetObjectCommand(objectParams(key)));
+  return object.Body;
+}
+
+// { size } or null when there is no such object
+async function stat(key) {
+  try {
+    const head = await s3().send(new sdk.HeadObjectCommand(objectParams(key)));
+    return { size: head.ContentLength };
+  } catch (err) {
+    if (statusOf(err) === 404) return null;
+    throw err;
+  }
+}
+
+async function remove(key) {
+  await s3().send(new sdk.DeleteObjectCommand(objectParams(key)));
+}
+
+async function presignedUrl(key, { expiresIn = config.S3_PRESIGN_EXPIRES, contentType } = {}) {
+  s3();
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+  const command = new sdk.GetObjectCommand({ ...objectParams(key), ResponseContentType: contentType });
+  return getSignedUrl(client, command, { expiresIn });
+}
+
+// ffmpeg reads http(s) inputs, seeking with range requests
+const inputFor = (key) => presignedUrl(key, { expiresIn: PROCESSING_URL_SECONDS });
+
+// Passes Range and conditional headers on to the store and its answer back
+async function proxy(req, res, key, { contentType }) {
+  const params = {
+    ...objectParams(key),
+    Range: req.headers.range,
+    IfNoneMatch: req.headers['if-none-match'],
+    IfModifiedSince: req.headers['if-modified-since'] ? new Date(req.headers['if-modified-since']) : undefined
+  };
+
+  let object;
+  try {
+    object = await s3().send(
+      req.method === 'HEAD' ? new sdk.HeadObjectCommand(params) : new sdk.GetObjectCommand(params)
+    );
+  } catch (err) {
+    if (statusOf(err) === 304) return res.status(304).end();
+    if (statusOf(err) === 416) {
+      const stored = await stat(key);
+      return res.status(416).set('Content-Range', `bytes */${stored ? stored.size : '*'}`).end();
+    }
+    throw err;
+  }
+
+  res.status(object.ContentRange ? 206 : 200).set({
+    'Content-Type': contentType || object.ContentType || 'application/octet-stream',
+    'Content-Length': String(object.ContentLength),
+    'Accept-Ranges': 'bytes'
+  });
+  if (object.ContentRange) res.set('Content-Range', object.ContentRange);
+  if (object.ETag) res.set('ETag', object.ETag);
+  if (object.LastModified) res.set('Last-Modified', object.LastModified.toUTCString());
+
+  if (!object.Body) return res.end();
+  try {
+    await pipeline(object.Body, res);
+  } catch (err) {
+    // Players drop connections mid-file all the time
+    if (!res.destroyed) throw err;
+  }
+}
+
+async function send(req, res, key, { contentType } = {}) {
+  if (config.STORAGE_SERVE_MODE === 'redirect') {
+    // The URL expires, so the redirect itself must not be cached
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, await presignedUrl(key, { contentType }));
+  }
+  return proxy(req, res, key, { contentType });
+}
+
+module.exports = { name, put, createReadStream, stat, remove, presignedUrl, inputFor, send };
@@ -0,0 +1,328 @@
+const RE2 = require('re2');
+const config = require('../config');
+const Subscription = require('../models/Subscription');
+const SubscriptionArchive = require('../models/SubscriptionArchive');
+const Download = require('../models/Download');
+const Job = require('../models/Job');
+const ytdlp = require('./ytdlp');
+const jobQueue = require('./jobQueue');
+const batches = require('./batches');
+const quotas = require('./quotas');
+const library = require('./library');
+const schedule = require('./schedule');
+const { parseDownloadOptions } = require('./downloadOptions');
+const { ValidationError } = require('../errors');
+
+/**
+ * Subscriptions: channels and playlists polled on a schedule. Each poll is a
+ * "poll" job that lists the newest entries, queues a download job for every
+ * one not in the subscription's archive and passing its filters, and trims
+ * the library to keepLast.
+ */
+
+// Body keys that make up the download options (see /download)
+const OPTION_KEYS = ['type', 'audio', 'video', 'tags', 'coverArt', 'splitChapters', 'loudness'];
+const FILTER_KEYS = ['minDuration', 'maxDuration', 'titleInclude', 'titleExclude'];
+const MAX_PATTERN_LENGTH = 200;
+
+function parseFilters(filters, errors) {
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    errors.push('filters must be an object');
+    return undefined;
+  }
+  const parsed = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!FILTER_KEYS.includes(key)) return errors.push(`filters.${key} is not a filter`);
+    if (value === null) return;
+    if (key === 'minDuration' || key === 'maxDuration') {
+      if (typeof value !== 'number' || !(value >= 0)) errors.push(`filters.${key} must be a number of seconds`);
+      else parsed[key] = value;
+    } else if (typeof value !== 'string' || !value || value.length > MAX_PATTERN_LENGTH) {
+      errors.push(`filters.${key} must be a regex of 1-${MAX_PATTERN_LENGTH} characters`);
+    } else {
+      try {
+        titleRegex(value);
+        parsed[key] = value;
+      } catch (err) {
+        errors.push(`filters.${key} is not a valid regex: ${err.message}`);
+      }
+    }
+  });
+  if (parsed.minDuration !== undefined && parsed.maxDuration !== undefined && parsed.minDuration > parsed.maxDuration) {
+    errors.push('filters.minDuration cannot be larger than filters.maxDuration');
+  }
+  return parsed;
+}
+
+/**
+ * Validates a subscription body into Subscription fields. `creating` makes
+ * url and type required; on updates the download options are replaced as a
+ * whole when `type` is sent.
+ */
+function parseSubscription(body, { creating = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ValidationError('Invalid subscription', ['body must be an object']);
+  }
+
+  const errors = [];
+  const fields = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (key === 'url') {
+      if (!creating) return errors.push('url cannot be changed; create a new subscription');
+      try {
+        fields.url = ytdlp.normalizeUrl(value);
+        if (!batches.isCollectionUrl(fields.url)) errors.push('url must be a channel or playlist URL');
+      } catch (err) {
+        errors.push(err.message);
+      }
+    } else if (key === 'schedule') {
+      try {
+        // Valid fields can still describe a day that never comes, like Feb 30
+        if (schedule.nextRun(value)) fields.schedule = String(value).trim();
+        else errors.push('schedule never matches a date');
+      } catch (err) {
+        errors.push(...err.details);
+      }
+    } else if (key === 'filters') {
+      fields.filters = parseFilters(value, errors);
+    } else if (key === 'keepLast') {
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        errors.push('keepLast must be a positive integer or null');
+      } else {
+        fields.keepLast = value;
+      }
+    } else if (key === 'enabled' || key === 'backfill') {
+      if (typeof value !== 'boolean') errors.push(`${key} must be a boolean`);
+      else fields[key] = value;
+    } else if (key === 'title') {
+      if (typeof value !== 'string') errors.push('title must be a string');
+      else fields.title = value.trim();
+    } else if (!OPTION_KEYS.includes(key)) {
+      errors.push(`${key} cannot be set`);
+    }
+  });
+
+  if (creating && !fields.url && !errors.length) errors.push('url is required');
+  const sendsOptions = OPTION_KEYS.some((key) => body[key] !== undefined);
+  if (creating || sendsOptions) {
+    if (body.type === undefined) errors.push('type is required with download options');
+    else {
+      try {
+        const optionFields = OPTION_KEYS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]]);
+        fields.options = parseDownloadOptions(Object.fromEntries(optionFields));
+      } catch (err) {
+        errors.push(...err.details);
+      }
+    }
+  }
+  if (!creating && !errors.length && Object.keys(fields).length === 0) errors.push('nothing to update');
+  if (errors.length) throw new ValidationError('Invalid subscription', errors);
+
+  if (creating && !fields.schedule) fields.schedule = config.SUBSCRIPTION_DEFAULT_SCHEDULE;
+  if (fields.schedule) fields.nextRunAt = schedule.nextRun(fields.schedule);
+  return fields;
+}
+
+/**
+ * Title filters are case-insensitive regexes written by members. RE2 matches
+ * in linear time, so no pattern can stall the server; it has no lookarounds
+ * or backreferences, and those patterns are rejected.
+ */
+const titleRegex = (pattern) => new RE2(pattern, 'i');
+
+// Flat listings don't always carry a duration; those entries are only
+// checked by title
+function passesFilters(entry, filters = {}) {
+  const { minDuration, maxDuration, titleInclude, titleExclude } = filters;
+  const title = entry.title || '';
+  if (minDuration !== undefined && entry.duration && entry.duration < minDuration) return false;
+  if (maxDuration !== undefined && entry.duration && entry.duration > maxDuration) return false;
+  if (titleInclude && !titleRegex(titleInclude).test(title)) return false;
+  return !(titleExclude && titleRegex(titleExclude).test(title));
+}
+
+/**
+ * Queues a poll job for `subscription` unless one is already waiting or
+ * running. Returns the job.
+ */
+async function enqueuePoll(subscription) {
+  const existing = await Job.findOne({
+    kind: 'poll',
+    subscription: subscription._id,
+    status: { $nin: Job.FINISHED_STATUSES }
+  });
+  if (existing) return existing;
+  return jobQueue.enqueue(
+    { url: subscription.url },
+    {
+      kind: 'poll',
+      subscription: subscription._id,
+      owner: subscription.owner,
+      title: subscription.title,
+      priority: 'low'
+    }
+  );
+}
+
+/**
+ * Deletes the subscription's oldest downloads beyond keepLast (by upload
+ * date), chapter tracks included. Returns how many went.
+ */
+async function prune(subscription) {
+  if (!subscription.keepLast) return 0;
+  const stale = await Download.find({ subscription: subscription._id, parent: null })
+    .sort({ uploadDate: -1, downloadDate: -1 })
+    .skip(subscription.keepLast);
+
+  for (const download of stale) {
+    const tracks = await Download.find({ parent: download._id });
+    for (const item of [...tracks, download]) await library.deleteDownload(item);
+  }
+  if (stale.length) console.log(`🧹 Subscription ${subscription._id}: removed ${stale.length} old download(s)`);
+  return stale.length;
+}
+
+// Failed polls are reported but don't count as lastRunAt
+async function recordRun(subscription, run, fields = {}) {
+  await Subscription.updateOne(
+    { _id: subscription._id },
+    {
+      $set: run.error ? fields : { ...fields, lastRunAt: run.finishedAt },
+      $push: { runs: { $each: [run], $position: 0, $slice: Subscription.MAX_RUNS } }
+    }
+  );
+}
+
+/**
+ * Handler for "poll" jobs.
+ */
+async function runPollJob(job, { onProgress, signal } = {}) {
+  const subscription = await Subscription.findById(job.subscription);
+  if (!subscription) throw new Error('Subscription no longer exists');
+  const run = { job: job._id, startedAt: new Date() };
+
+  if (onProgress) onProgress({ phase: 'listing new uploads' });
+  let listing;
+  try {
+    listing = await batches.listEntries(subscription.url, { newest: config.SUBSCRIPTION_SCAN_ITEMS }, { signal });
+  } catch (err) {
+    run.finishedAt = new Date();
+    run.error = { code: err.code, message: err.message };
+    await recordRun(subscription, run);
+    const jobErr = new Error(err.message);
+    jobErr.code = err.code;
+    jobErr.details = err.stderr;
+    throw jobErr;
+  }
+
+  const { info, entries } = listing;
+  const listed = entries.filter((entry) => entry.id && batches.entryUrl(entry));
+  const seen = new Set(
+    await SubscriptionArchive.find({
+      subscription: subscription._id,
+      sourceId: { $in: listed.map((entry) => entry.id) }
+    }).distinct('sourceId')
+  );
+  const fresh = listed.filter((entry) => !seen.has(entry.id));
+  Object.assign(run, { scanned: listed.length, seen: seen.size, filtered: 0, queued: 0, deferred: 0 });
+
+  // Without backfill the first poll only marks what is already there as seen
+  const firstRun = !subscription.lastRunAt;
+  const archive = [];
+  const children = [];
+  const queuedEntries = [];
+  if (firstRun && !subscription.backfill) {
+    fresh.forEach((entry) => archive.push({ subscription: subscription._id, sourceId: entry.id, title: entry.title }));
+  } else {
+    // Entries over the daily quota stay out of the archive for the next poll
+    let allowance = await quotas.downloadsLeft(subscription.owner);
+    fresh.forEach((entry) => {
+      if (!passesFilters(entry, subscription.filters)) {
+        run.filtered++;
+      } else if (allowance > 0) {
+        allowance--;
+        queuedEntries.push(entry);
+        children.push({
+          kind: 'download',
+          owner: subscription.owner,
+          subscription: subscription._id,
+          title: entry.title,
+          priority: 'low',
+          params: { ...subscription.options, url: batches.entryUrl(entry) }
+        });
+      } else {
+        run.deferred++;
+      }
+    });
+  }
+
+  if (children.length) {
+    const jobs = await jobQueue.enqueueMany(children);
+    jobs.forEach((child, index) => {
+      const { id: sourceId } = queuedEntries[index];
+      archive.push({ subscription: subscription._id, sourceId, title: child.title, job: child._id });
+    });
+  }
+  run.queued = children.length;
+  if (archive.length) {
+    // A concurrent poll may have archived some of these already
+    await SubscriptionArchive.insertMany(archive, { ordered: false }).catch((err) => {
+      if (err.code !== 11000) throw err;
+    });
+  }
+
+  run.pruned = await prune(subscription);
+  run.finishedAt = new Date();
+  await recordRun(subscription, run, { title: subscription.title || info.title });
+
+  console.log(
+    `📡 Subscription ${subscription._id}: ${run.scanned} listed, ${run.queued} queued, ${run.filtered} filtered` +
+      (firstRun && !subscription.backfill ? ` (first poll, ${archive.length} marked as seen)` : '')
+  );
+  return { subscription: subscription._id, items: run.queued };
+}
+
+// Queues the polls that are due; each gets its next run time first, so a
+// slow poll or a second server never doubles it
+async function tick() {
+  const due = await Subscription.find({ enabled: true, nextRunAt: { $lte: new Date() } });
+  for (const subscription of due) {
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, nextRunAt: subscription.nextRunAt },
+      { $set: { nextRunAt: schedule.nextRun(subscription.schedule) } }
+    );
+    if (claimed) await enqueuePoll(subscription);
+  }
+}
+
+/**
+ * Starts the scheduler. Polls missed while the server was down run once on
+ * the first check.
+ */
+function start() {
+  const check = () => tick().catch((err) => console.error('Subscription scheduler error:', err.message));
+  setInterval(check, config.SUBSCRIPTION_CHECK_MS);
+  check();
+}
+
+/**
+ * Subscription with its recent archive entries and their jobs' state.
+ */
+async function summarize(subscription, { limit = 50 } = {}) {
+  const recent = await SubscriptionArchive.find({ subscription: subscription._id, job: { $exists: true } })
+    .sort({ seenAt: -1 })
+    .limit(limit)
+    .populate('job', 'status result.download result.reason error.code error.message finishedAt');
+  const archived = await SubscriptionArchive.countDocuments({ subscription: subscription._id });
+  return { ...subscription.toObject(), archived, recent };
+}
+
+/**
+ * Deletes a subscription and its archive; downloads it fetched stay.
+ */
+async function remove(subscription) {
+  await Subscription.deleteOne({ _id: subscription._id });
+  await SubscriptionArchive.deleteMany({ subscription: subscription._id });
+}
+
+module.exports = { parseSubscription, enqueuePoll, runPollJob, prune, start, summarize, remove };
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+
+/**
+ * Writes tags and cover art into finished audio files with ffmpeg (stream
+ * copy, no re-encode):
+ *   mp3       -> ID3v2.4 with an APIC front cover
+ *   m4a       -> MP4 atoms with a covr attached picture
+ *   flac      -> Vorbis comments with a PICTURE block
+ *   opus/ogg  -> Vorbis comments, cover as METADATA_BLOCK_PICTURE
+ *   wav       -> RIFF INFO tags, no cover
+ */
+
+const TAG_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'trackNumber', 'trackTotal', 'year', 'genre', 'comment'];
+
+const COVER_SIZE = 600;
+// A stalled thumbnail host shouldn't hold the job (and its worker) in tagging
+const COVER_FETCH_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Default tags from yt-dlp's info JSON, overridden by anything in `overrides`.
+ */
+function buildTags(info, overrides = {}) {
+  const year =
+    info.release_year || (info.upload_date ? parseInt(info.upload_date.slice(0, 4), 10) : undefined);
+
+  const tags = {
+    title: info.track || info.title,
+    artist: info.artist || info.creator || info.uploader || info.channel,
+    album: info.album,
+    albumArtist: info.album_artist,
+    trackNumber: info.track_number,
+    year,
+    genre: info.genre || (info.categories || [])[0],
+    comment: info.webpage_url
+  };
+
+  TAG_FIELDS.forEach((field) => {
+    if (overrides[field] !== undefined) tags[field] = overrides[field];
+  });
+  return tags;
+}
+
+// Tag names ffmpeg maps onto each container's native fields
+function ffmpegMetadata(tags) {
+  const track =
+    tags.trackNumber !== undefined
+      ? tags.trackTotal
+        ? `${tags.trackNumber}/${tags.trackTotal}`
+        : String(tags.trackNumber)
+      : undefined;
+
+  const entries = {
+    title: tags.title,
+    artist: tags.artist,
+    album: tags.album,
+    album_artist: tags.albumArtist,
+    track,
+    date: tags.year !== undefined ? String(tags.year) : undefined,
+    genre: tags.genre,
+    comment: tags.comment
+  };
+  return Object.fromEntries(Object.entries(entries).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+// ffmetadata files escape =;#\ and newlines with a backslash
+const escapeMetadata = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+function writeMetadataFile(filePath, entries) {
+  const lines = Object.entries(entries).map(([key, value]) => `${key}=${escapeMetadata(value)}`);
+  fs.writeFileSync(filePath, `;FFMETADATA1\n${lines.join('\n')}\n`);
+}
+
+/**
+ * FLAC PICTURE block, base64 encoded, as Ogg players expect in the
+ * METADATA_BLOCK_PICTURE comment.
+ */
+function pictureBlock(imagePath, width, height) {
+  const image = fs.readFileSync(imagePath);
+  const mime = Buffer.from('image/jpeg');
+  const description = Buffer.from('Cover (front)');
+  const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+  };
+
+  return Buffer.concat([
+    uint32(3), // front cover
+    uint32(mime.length),
+    mime,
+    uint32(description.length),
+    description,
+    uint32(width),
+    uint32(height),
+    uint32(24),
+    uint32(0),
+    uint32(image.length),
+    image
+  ]).toString('base64');
+}
+
+/**
+ * Downloads a thumbnail and turns it into a square JPEG, centre-cropped.
+ * Returns the path of the JPEG next to `basePath`.
+ */
+async function prepareCover(thumbnailUrl, basePath, { signal } = {}) {
+  const timeout = AbortSignal.timeout(COVER_FETCH_TIMEOUT_MS);
+  const fetchSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  const response = await fetch(thumbnailUrl, { signal: fetchSignal });
+  if (!response.ok) throw new Error(`Thumbnail download failed with HTTP ${response.status}`);
+
+  const sourcePath = `${basePath}.thumb`;
+  const coverPath = `${basePath}.cover.jpg`;
+  fs.writeFileSync(sourcePath, Buffer.from(await response.arrayBuffer()));
+
+  try {
+    await ffmpeg.run(
+      [
+        '-i',
+        sourcePath,
+        '-vf',
+        `crop='min(iw,ih)':'min(iw,ih)',scale=${COVER_SIZE}:${COVER_SIZE}`,
+        '-frames:v',
+        '1',
+        '-q:v',
+        '3',
+        coverPath
+      ],
+      { signal }
+    );
+  } finally {
+    fs.rmSync(sourcePath, { force: true });
+  }
+  return coverPath;
+}
+
+// Largest thumbnail yt-dlp found, falling back to the default one
+function bestThumbnail(info) {
+  const sized = (info.thumbnails || []).filter((thumb) => thumb.url && thumb.width);
+  sized.sort((a, b) => b.width * (b.height || 0) - a.width * (a.height || 0));
+  return sized.length ? sized[0].url : info.thumbnail;
+}
+
+/**
+ * Writes `tags` (and `coverPath` when given) into `filePath` in place.
+ * `format` is the file extension (mp3, m4a, opus, ogg, flac, wav).
+ */
+async function writeTags(filePath, format, tags, { coverPath, signal } = {}) {
+  const metadata = ffmpegMetadata(tags);
+  const metadataPath = `${filePath}.ffmeta`;
+  const tmpPath = path.join(path.dirname(filePath), `.tagging-${path.basename(filePath)}`);
+  const withCover = Boolean(coverPath) && format !== 'wav';
+  const isOgg = format === 'opus' || format === 'ogg';
+
+  if (withCover && isOgg) {
+    metadata.METADATA_BLOCK_PICTURE = pictureBlock(coverPath, COVER_SIZE, COVER_SIZE);
+  }
+  writeMetadataFile(metadataPath, metadata);
+
+  const args = ['-i', filePath, '-i', metadataPath];
+  if (withCover && !isOgg) args.push('-i', coverPath);
+
+  args.push('-map', '0:a', '-map_metadata', '1');
+  // Ogg keeps Vorbis comments on the stream, not the container
+  if (isOgg) args.push('-map_metadata:s:a', '1:g');
+  if (withCover && !isOgg) {
+    args.push(
+      '-map',
+      '2:v',
+      '-disposition:v:0',
+      'attached_pic',
+      '-metadata:s:v',
+      'title=Album cover',
+      '-metadata:s:v',
+      'comment=Cover (front)'
+    );
+  }
+  args.push('-c', 'copy');
+  if (format === 'mp3') args.push('-id3v2_version', '4', '-write_id3v1', '0');
+  args.push('-f', ffmpeg.muxerFor(format), tmpPath);
+
+  try {
+    await ffmpeg.run(args, { signal });
+    fs.renameSync(tmpPath, filePath);
+  } finally {
+    fs.rmSync(metadataPath, { force: true });
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Tags a finished audio download. Failures are logged and reported back, never
+ * thrown: an untagged file is still a usable download.
+ * Returns `{ tags, coverArt }` on success, null otherwise.
+ */
+async function tagDownload(filePath, format, info, { overrides, coverArt = true, signal } = {}) {
+  const tags = buildTags(info, overrides);
+  let coverPath = null;
+
+  try {
+    const thumbnail = coverArt && bestThumbnail(info);
+    if (thumbnail) {
+      try {
+        coverPath = await prepareCover(thumbnail, filePath, { signal });
+      } catch (err) {
+        console.warn(`⚠️ Cover art skipped for ${path.basename(filePath)}:`, err.message);
+      }
+    }
+
+    await writeTags(filePath, format, tags, { coverPath, signal });
+    return { tags, coverArt: Boolean(coverPath) && format !== 'wav' };
+  } catch (err) {
+    console.warn(`⚠️ Tagging failed for ${path.basename(filePath)}:`, err.stderr || err.message);
+    return null;
+  } finally {
+    if (coverPath) fs.rmSync(coverPath, { force: true });
+  }
+}
+
+module.exports = { TAG_FIELDS, buildTags, writeTags, prepareCover, tagDownload };
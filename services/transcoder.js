@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const ffmpeg = require('./ffmpeg');
+const { ValidationError } = require('../errors');
+
+/**
+ * On-the-fly audio transcodes for GET /stream/:id?format=&bitrate=.
+ * The first request streams ffmpeg's output while it is written to the cache;
+ * later requests get the cached file (with byte ranges). The cache is kept
+ * under TRANSCODE_CACHE_MAX_BYTES by evicting the least recently used files.
+ */
+
+// format -> encoder, muxer, content type and default bitrate (kbit/s)
+const TARGETS = {
+  mp3: { args: ['-c:a', 'libmp3lame'], muxer: 'mp3', type: 'audio/mpeg', bitrate: 192 },
+  // Fragmented so it can be written to a pipe
+  m4a: { args: ['-c:a', 'aac', '-movflags', 'frag_keyframe+empty_moov'], muxer: 'ipod', type: 'audio/mp4', bitrate: 160 },
+  opus: { args: ['-c:a', 'libopus'], muxer: 'opus', type: 'audio/ogg; codecs=opus', bitrate: 96 },
+  ogg: { args: ['-c:a', 'libvorbis'], muxer: 'ogg', type: 'audio/ogg', bitrate: 160 }
+};
+
+// Cache keys being written right now; a second request transcodes without caching
+const inFlight = new Set();
+
+function parseTranscodeOptions(query) {
+  if (query.format === undefined && query.bitrate === undefined) return null;
+
+  const errors = [];
+  const format = query.format || 'opus';
+  if (!TARGETS[format]) errors.push(`format must be one of: ${Object.keys(TARGETS).join(', ')}`);
+
+  let bitrate = TARGETS[format] ? TARGETS[format].bitrate : undefined;
+  if (query.bitrate !== undefined) {
+    bitrate = parseInt(String(query.bitrate).replace(/k$/i, ''), 10);
+    if (!Number.isInteger(bitrate) || bitrate < 24 || bitrate > 320) {
+      errors.push('bitrate must be between 24 and 320 (kbit/s)');
+    }
+  }
+
+  if (errors.length) throw new ValidationError('Invalid stream options', errors);
+  return { format, bitrate };
+}
+
+// The source size is part of the key, so replaced files don't hit stale entries
+const cacheKey = (download, { format, bitrate }) =>
+  `${download._id}-${download.fileSize || 0}-${bitrate}k.${format}`;
+
+/**
+ * Deletes least recently used cache files until the cache fits its budget.
+ */
+function evict() {
+  const dir = config.TRANSCODE_CACHE_DIR;
+  if (!fs.existsSync(dir)) return;
+
+  const entries = fs
+    .readdirSync(dir)
+    .filter((name) => !name.startsWith('.'))
+    .map((name) => {
+      const stats = fs.statSync(path.join(dir, name));
+      return { name, size: stats.size, usedAt: stats.mtimeMs };
+    })
+    .sort((a, b) => a.usedAt - b.usedAt);
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (total <= config.TRANSCODE_CACHE_MAX_BYTES) break;
+    fs.rmSync(path.join(dir, entry.name), { force: true });
+    total -= entry.size;
+    console.log(`🧹 Evicted transcode ${entry.name}`);
+  }
+}
+
+/**
+ * Drops every cached transcode of a download.
+ */
+function purge(downloadId) {
+  const dir = config.TRANSCODE_CACHE_DIR;
+  if (!fs.existsSync(dir)) return;
+  fs.readdirSync(dir)
+    .filter((name) => name.startsWith(`${downloadId}-`))
+    .forEach((name) => fs.rmSync(path.join(dir, name), { force: true }));
+}
+
+/**
+ * Answers a stream request with a transcode of `sourcePath`.
+ */
+function sendTranscode(req, res, download, sourcePath, options) {
+  const target = TARGETS[options.format];
+  const key = cacheKey(download, options);
+  const cachedPath = path.join(config.TRANSCODE_CACHE_DIR, key);
+
+  if (fs.existsSync(cachedPath)) {
+    // mtime doubles as "last used" for eviction
+    const now = new Date();
+    fs.utimesSync(cachedPath, now, now);
+    return res.sendFile(cachedPath, { headers: { 'Content-Type': target.type, 'X-Transcode-Cache': 'hit' } });
+  }
+
+  const args = [
+    '-i',
+    sourcePath,
+    '-map',
+    '0:a:0',
+    '-vn',
+    ...target.args,
+    '-b:a',
+    `${options.bitrate}k`,
+    '-f',
+    target.muxer,
+    'pipe:1'
+  ];
+  const child = ffmpeg.spawnPipe(args);
+
+  // Only one writer per cache entry
+  const caching = !inFlight.has(key);
+  const tmpPath = path.join(config.TRANSCODE_CACHE_DIR, `.${key}.${process.pid}.tmp`);
+  let cacheFile = null;
+  if (caching) {
+    inFlight.add(key);
+    fs.mkdirSync(config.TRANSCODE_CACHE_DIR, { recursive: true });
+    cacheFile = fs.createWriteStream(tmpPath);
+    // A full disk or a vanished cache dir only costs the cache entry
+    cacheFile.on('error', (err) => {
+      console.error(`Caching transcode of ${download._id} failed:`, err.message);
+      child.stdout.unpipe(cacheFile);
+      cacheFile = null;
+      fs.rmSync(tmpPath, { force: true });
+      if (res.destroyed || res.writableEnded) child.kill('SIGTERM');
+    });
+  }
+
+  res.set({
+    'Content-Type': target.type,
+    'Accept-Ranges': 'none',
+    'X-Transcode-Cache': caching ? 'miss' : 'bypass'
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-4096);
+  });
+
+  // pipe() waits for the slower of the two and drops the response when the
+  // client leaves; both are ended below once ffmpeg's exit code is known
+  child.stdout.pipe(res, { end: false });
+  if (cacheFile) child.stdout.pipe(cacheFile, { end: false });
+
+  // Keep transcoding when the client leaves if we are filling the cache
+  res.on('close', () => {
+    if (!cacheFile && child.exitCode === null) child.kill('SIGTERM');
+  });
+
+  child.on('error', (err) => {
+    console.error('Transcode error:', err.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Transcoding failed', code: 'TRANSCODE_FAILED' });
+    else res.destroy();
+  });
+
+  child.on('close', (code) => {
+    if (caching) inFlight.delete(key);
+
+    const finish = () => {
+      if (code === 0) res.end();
+      else res.destroy();
+    };
+
+    if (!cacheFile) return finish();
+    cacheFile.end((err) => {
+      // A write error was already handled above
+      if (err) return finish();
+      if (code === 0) {
+        try {
+          fs.renameSync(tmpPath, cachedPath);
+          evict();
+        } catch (renameErr) {
+          console.error(`Caching transcode of ${download._id} failed:`, renameErr.message);
+          fs.rmSync(tmpPath, { force: true });
+        }
+      } else {
+        console.error(`Transcode of ${download._id} failed:`, stderr);
+        fs.rmSync(tmpPath, { force: true });
+      }
+      finish();
+    });
+  });
+}
+
+module.exports = { parseTranscodeOptions, sendTranscode, evict, purge, TARGETS };
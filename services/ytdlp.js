@@ -0,0 +1,212 @@
+const { spawn } = require('child_process');
+const config = require('../config');
+const { readLines } = require('./progress');
+const failures = require('./failures');
+
+/**
+ * yt-dlp runner. Every call goes through here: the binary is spawned with an
+ * argument array (never a shell string) and user URLs are normalized and
+ * checked against ALLOWED_HOSTS first.
+ */
+
+const ERROR_CODES = {
+  INVALID_URL: 'INVALID_URL',
+  UNSUPPORTED_HOST: 'UNSUPPORTED_HOST',
+  SPAWN_FAILED: 'SPAWN_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  OUTPUT_LIMIT: 'OUTPUT_LIMIT',
+  CANCELLED: 'CANCELLED',
+  FAILED: 'FAILED',
+  // What went wrong on the site's side, read from stderr (services/failures)
+  ...failures.CODES
+};
+
+// How long a process gets to exit after SIGTERM before SIGKILL
+const KILL_GRACE_MS = 5000;
+// Only the end of stderr is kept; that's where yt-dlp puts the error
+const STDERR_TAIL_BYTES = 64 * 1024;
+
+class YtDlpError extends Error {
+  constructor(code, message, { stderr = '', exitCode = null } = {}) {
+    super(message);
+    this.name = 'YtDlpError';
+    this.code = code;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+  }
+
+  // URL problems are the caller's fault, everything else is ours
+  get isClientError() {
+    return this.code === ERROR_CODES.INVALID_URL || this.code === ERROR_CODES.UNSUPPORTED_HOST;
+  }
+}
+
+const isAllowedHost = (hostname) =>
+  config.ALLOWED_HOSTS.some((allowed) => hostname === allowed || hostname.endsWith(`.${allowed}`));
+
+/**
+ * Returns a clean https URL for a supported host or throws a YtDlpError.
+ */
+function normalizeUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new YtDlpError(ERROR_CODES.INVALID_URL, 'url must be a non-empty string');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(input.trim());
+  } catch {
+    throw new YtDlpError(ERROR_CODES.INVALID_URL, 'url is not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new YtDlpError(ERROR_CODES.INVALID_URL, 'Only http(s) URLs are supported');
+  }
+  if (parsed.username || parsed.password) {
+    throw new YtDlpError(ERROR_CODES.INVALID_URL, 'URLs with credentials are not allowed');
+  }
+
+  const hostname = parsed.hostname.replace(/\.$/, '');
+  if (!isAllowedHost(hostname)) {
+    throw new YtDlpError(ERROR_CODES.UNSUPPORTED_HOST, `Host ${hostname} is not supported`);
+  }
+
+  parsed.protocol = 'https:';
+  parsed.hostname = hostname;
+  parsed.port = '';
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+// Process groups of running yt-dlp calls, killed if the server exits
+const running = new Set();
+
+function killTree(child, signal) {
+  try {
+    // Negative pid targets the whole group (yt-dlp plus its ffmpeg children)
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+process.on('exit', () => running.forEach((child) => killTree(child, 'SIGKILL')));
+
+/**
+ * Spawns yt-dlp with `args` and resolves with
+ * `{ stdout, stderr, exitCode, durationMs }`, or rejects with a YtDlpError.
+ *
+ * Options:
+ *   onLine(line)    - called for every stdout line
+ *   capture         - buffer stdout for the result (default true)
+ *   signal          - AbortSignal; aborting kills the process tree
+ *   timeoutMs       - defaults to YTDLP_TIMEOUT_MS
+ *   maxOutputBytes  - buffered stdout cap, defaults to YTDLP_MAX_OUTPUT_BYTES
+ */
+function run(args, options = {}) {
+  const {
+    onLine,
+    capture = true,
+    signal,
+    timeoutMs = config.YTDLP_TIMEOUT_MS,
+    maxOutputBytes = config.YTDLP_MAX_OUTPUT_BYTES
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new YtDlpError(ERROR_CODES.CANCELLED, 'yt-dlp run cancelled'));
+    }
+
+    const startedAt = Date.now();
+    const child = spawn(config.YTDLP_PATH, args, {
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    running.add(child);
+
+    let stdout = '';
+    let stderr = '';
+    let failure = null;
+    let killTimer = null;
+
+    const stop = (code, message) => {
+      if (failure) return;
+      failure = new YtDlpError(code, message);
+      killTree(child, 'SIGTERM');
+      killTimer = setTimeout(() => killTree(child, 'SIGKILL'), KILL_GRACE_MS);
+    };
+
+    const timer = setTimeout(
+      () => stop(ERROR_CODES.TIMEOUT, `yt-dlp timed out after ${Math.round(timeoutMs / 1000)}s`),
+      timeoutMs
+    );
+    const onAbort = () => stop(ERROR_CODES.CANCELLED, 'yt-dlp run cancelled');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    readLines(child.stdout, (line) => {
+      if (capture) {
+        stdout += `${line}\n`;
+        if (stdout.length > maxOutputBytes) {
+          stop(ERROR_CODES.OUTPUT_LIMIT, `yt-dlp output exceeded ${maxOutputBytes} bytes`);
+        }
+      }
+      if (onLine) onLine(line);
+    });
+
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+    });
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      running.delete(child);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', (err) => {
+      cleanup();
+      reject(new YtDlpError(ERROR_CODES.SPAWN_FAILED, `Could not start yt-dlp: ${err.message}`));
+    });
+
+    child.on('close', (exitCode) => {
+      cleanup();
+
+      if (failure) {
+        failure.stderr = stderr;
+        failure.exitCode = exitCode;
+        return reject(failure);
+      }
+      if (exitCode !== 0) {
+        const lastError = stderr.split('\n').reverse().find((line) => line.startsWith('ERROR:'));
+        const code = failures.codeFromOutput(stderr) || ERROR_CODES.FAILED;
+        return reject(
+          new YtDlpError(code, lastError || `yt-dlp exited with code ${exitCode}`, {
+            stderr,
+            exitCode
+          })
+        );
+      }
+
+      resolve({ stdout, stderr, exitCode, durationMs: Date.now() - startedAt });
+    });
+  });
+}
+
+/**
+ * Fetches yt-dlp's info JSON for a single media URL without downloading it.
+ */
+async function extractInfo(url, { signal } = {}) {
+  const { stdout } = await run(['--dump-single-json', '--no-playlist', '--no-warnings', '--', url], {
+    signal
+  });
+
+  try {
+    return JSON.parse(stdout);
+  } catch {
+    throw new YtDlpError(ERROR_CODES.FAILED, 'yt-dlp returned invalid JSON metadata');
+  }
+}
+
+module.exports = { run, extractInfo, normalizeUrl, YtDlpError, ERROR_CODES };